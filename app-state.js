@@ -5,6 +5,7 @@
 import WebGLVehicleLayer from './webgl-vehicle-layer.js';
 import UnifiedAnimationController from './unified-animation.js';
 import PerformanceMonitor from './performance-monitor.js';
+import Store, { shallowEqual } from './store.js';
 // Import functions from route-planning.js
 import { 
     initializePlanningSystem,
@@ -18,9 +19,30 @@ import {
 } from './route-completion.js';
 // Import functions from data-processing.js
 import {
-    handleFileImport,
-    processData
+    importFiles,
+    processData,
+    reapplyCleaning,
+    updateTimeline,
+    updatePlaybackDisplay,
+    updatePlacemarkIconsLayer
 } from './data-processing.js';
+// Import track cleaning defaults and comparison layers
+import {
+    DEFAULT_CLEANING_SETTINGS,
+    updateCleaningLayers
+} from './track-cleaning.js';
+// Import time zone helpers from timestamps.js
+import {
+    getLocalTimeZone,
+    getAvailableTimeZones
+} from './timestamps.js';
+// Import the export dialog from track-export.js
+import { showExportModal } from './track-export.js';
+import { showVideoExportModal } from './video-export.js';
+import { showStillExportModal } from './still-export.js';
+import { saveProject } from './project-files.js';
+import { initializeSessionRecovery } from './session-autosave.js';
+import { initializeUrlState } from './url-state.js';
 // Import utility functions
 import {
     showNotification,
@@ -32,6 +54,46 @@ import {
     generateUniqueId
 } from './utils.js';
 
+// Application Store
+// State that UI reacts to lives in store slices; AppState exposes each slice read-only
+// under its old name. Update with AppState.setState(slice, changes).
+const store = new Store({
+    // Playback, written by the animation controller
+    animation: {
+        isPlaying: false,
+        currentTime: 0,
+        duration: 0,
+        speed: 1
+    },
+
+    // Camera lock to the followed vehicle, read by the animation controller
+    camera: {
+        isLocked: false
+    },
+
+    // Track driven by the playback controls
+    selection: {
+        trackId: null
+    },
+
+    // Display settings
+    filters: {
+        timeRange: { start: null, end: null },
+        useUTC: false,
+        displayTimeZone: 'local'    // 'local' or an IANA zone; ignored while useUTC is set
+    },
+
+    // Import settings
+    importSettings: {
+        sourceTimeZone: 'local',    // zone for timestamps that carry no offset
+        dateOrder: 'auto',          // 'auto' | 'dmy' | 'mdy'
+        mode: 'replace'             // 'replace' | 'append' | 'merge' for the Open File button
+    },
+
+    // Track cleaning settings, applied by processData
+    cleaning: { ...DEFAULT_CLEANING_SETTINGS }
+});
+
 // Application State
 const AppState = {
     // Core components
@@ -46,27 +108,34 @@ const AppState = {
         features: []
     },
 
-    // Animation state
-    animation: {
-        isPlaying: false,
-        currentTime: 0,
-        duration: 0,
-        speed: 1,
-        lastFrame: 0,
-        currentPoint: 0
+    // Store-backed slices
+    store: store,
+    get animation() {
+        return store.getState().animation;
     },
-
-    // Filter state
-    filters: {
-        timeRange: { start: null, end: null },
-        useUTC: false
+    get camera() {
+        return store.getState().camera;
+    },
+    get selectedTrackId() {
+        return store.getState().selection.trackId;
+    },
+    get filters() {
+        return store.getState().filters;
+    },
+    get importSettings() {
+        return store.getState().importSettings;
+    },
+    get cleaning() {
+        return store.getState().cleaning;
     },
 
     // Map state
+    mapStyle: 'mapbox://styles/mapbox/standard-satellite',
     bounds: null,
     lastValidBearing: null,
 
-    // Planning mode state
+    // Planning mode state. Not a store slice yet: route planning edits waypoints and
+    // segments in place as timestamps propagate along the route.
     planningMode: {
         active: false,
         waypoints: [],
@@ -74,14 +143,6 @@ const AppState = {
         currentRoute: null
     },
 
-    // Camera state
-    camera: {
-        isLocked: false,
-        lockedConfig: null,
-        lastUpdateTime: 0,
-        transitionInProgress: false
-    },
-
     // Performance state
     performance: {
         quality: 'high',
@@ -90,20 +151,12 @@ const AppState = {
     },
 
     // State management
-    setState(updates) {
-        Object.assign(this, updates);
-        this.notifyListeners();
+    setState(slice, changes) {
+        store.update(slice, changes);
     },
 
-    listeners: new Set(),
-
-    subscribe(listener) {
-        this.listeners.add(listener);
-        return () => this.listeners.delete(listener);
-    },
-
-    notifyListeners() {
-        this.listeners.forEach(listener => listener(this));
+    subscribe(selector, listener, options) {
+        return store.subscribe(selector, listener, options);
     }
 };
 
@@ -112,6 +165,8 @@ window.AppState = AppState;
 
 // Initialize Application
 async function initializeApp() {
+    bindStateToUI();
+
     const savedMapboxToken = localStorage.getItem('mapboxToken');
     
     if (savedMapboxToken) {
@@ -121,6 +176,12 @@ async function initializeApp() {
 
     setupEventListeners();
     createNotificationsContainer();
+
+    // A shared link is applied after any restored session, so the link wins
+    if (AppState.map) {
+        await initializeSessionRecovery();
+        await initializeUrlState();
+    }
 }
 
 // Map Initialization
@@ -130,7 +191,7 @@ async function initializeMap(token) {
     // Initialize map with WebGL optimizations
     AppState.map = new mapboxgl.Map({
         container: 'map',
-        style: 'mapbox://styles/mapbox/standard-satellite',
+        style: AppState.mapStyle,
         center: [-79.4512, 43.6568],
         zoom: 13,
         pitch: 45,
@@ -196,6 +257,11 @@ async function initializeComponents() {
         );
         await AppState.animationController.initialize();
 
+        // A new controller (after a style change) starts empty; publish that and release
+        // the camera, which has nothing to follow
+        AppState.animationController.notifyStateChange();
+        AppState.setState('camera', { isLocked: false });
+
         // Initialize performance monitor
         AppState.performanceMonitor = new PerformanceMonitor();
         AppState.performanceMonitor.start();
@@ -220,6 +286,8 @@ async function initializeComponents() {
 function handlePerformanceEvent(event) {
     switch (event.type) {
         case 'quality-change':
+            // A recording fixes the quality when it starts, whatever the frame rate does
+            if (AppState.animationController?.frameStepping) break;
             AppState.performance.quality = event.quality;
             AppState.webglLayer.adjustQuality(event.quality);
             break;
@@ -243,8 +311,13 @@ function setupEventListeners() {
     document.getElementById('fileButton').onclick = () => 
         document.getElementById('fileInput').click();
     document.getElementById('fileInput').onchange = (e) => {
-        if (e.target.files.length > 0) handleFileImport(e.target.files[0]);
+        if (e.target.files.length > 0) {
+            importFiles(Array.from(e.target.files), { mode: AppState.importSettings.mode });
+        }
+        e.target.value = '';
     };
+    setupFileDrop();
+    document.getElementById('saveProjectButton').onclick = saveProject;
 
     // Playback controls - now using unified animation controller
     document.getElementById('playButton').onclick = () => {
@@ -253,7 +326,6 @@ function setupEventListeners() {
         } else {
             AppState.animationController.play();
         }
-        updatePlaybackButtonState();
     };
 
     document.getElementById('rewindButton').onclick = () => {
@@ -271,21 +343,13 @@ function setupEventListeners() {
     
     // Camera lock button
     document.getElementById('cameraLockButton').onclick = () => {
-        AppState.animationController.toggleCameraLock();
-        updateCameraLockButtonState();
+        const isLocked = AppState.animationController.toggleCameraLock();
+        showNotification(isLocked ? 'Camera locked to vehicle' : 'Camera unlocked', 'info');
     };
     
     // Speed controls
     document.querySelectorAll('.speed-button').forEach(button => {
-        button.onclick = () => {
-            document.querySelectorAll('.speed-button').forEach(b => 
-                b.classList.remove('active')
-            );
-            button.classList.add('active');
-            const speed = parseFloat(button.dataset.speed);
-            AppState.animationController.setSpeed(speed);
-            AppState.animation.speed = speed;
-        };
+        button.onclick = () => setPlaybackSpeed(parseFloat(button.dataset.speed));
     });
 
     // Progress bar
@@ -308,7 +372,9 @@ function setupEventListeners() {
         if (token) {
             localStorage.setItem('mapboxToken', token);
             document.getElementById('landingOverlay').style.display = 'none';
-            initializeMap(token);
+            initializeMap(token)
+                .then(initializeSessionRecovery)
+                .then(initializeUrlState);
         } else {
             showNotification('Please enter a valid Mapbox token', 'error');
         }
@@ -321,39 +387,24 @@ function setupEventListeners() {
         updateStylePreviewImages();
         initializeSettingsTabs();
         initializeLayerControls();
+        initializeTimeSettings();
+        initializeCleaningSettings();
+    };
+
+    document.getElementById('closeSettingsModal').onclick = () => {
+        document.getElementById('settingsModal').style.display = 'none';
     };
 
     // Map style handling
     document.querySelectorAll('.style-option').forEach(option => {
-        option.onclick = async () => {
-            const style = option.dataset.style;
-            document.querySelectorAll('.style-option').forEach(opt => 
-                opt.classList.remove('active')
-            );
-            option.classList.add('active');
-            
-            // Save current state
-            const wasPlaying = AppState.animation.isPlaying;
-            if (wasPlaying) {
-                AppState.animationController.pause();
-            }
-
-            // Update style
-            AppState.map.setStyle(style);
-
-            // Wait for style to load
-            await new Promise(resolve => AppState.map.once('style.load', resolve));
-
-            // Reinitialize components
-            await initializeComponents();
-
-            // Restore state if needed
-            if (wasPlaying) {
-                AppState.animationController.play();
-            }
-        };
+        option.onclick = () => changeMapStyle(option.dataset.style);
     });
 
+    // Export buttons
+    document.getElementById('exportButton').onclick = showExportModal;
+    document.getElementById('videoExportButton').onclick = showVideoExportModal;
+    document.getElementById('stillExportButton').onclick = showStillExportModal;
+
     // Route planning button
     document.getElementById('routePlanningButton').addEventListener('click', 
         togglePlanningMode
@@ -370,32 +421,130 @@ function setupEventListeners() {
     });
 }
 
+// Map Style
+async function changeMapStyle(style) {
+    document.querySelectorAll('.style-option').forEach(option => 
+        option.classList.toggle('active', option.dataset.style === style)
+    );
+    
+    // Save current state
+    const wasPlaying = AppState.animation.isPlaying;
+    if (wasPlaying) {
+        AppState.animationController.pause();
+    }
+
+    // Update style
+    AppState.mapStyle = style;
+    AppState.map.setStyle(style);
+
+    // Wait for style to load
+    await new Promise(resolve => AppState.map.once('style.load', resolve));
+
+    // Reinitialize components
+    await initializeComponents();
+
+    // Placemark icons and their layer went with the old style
+    await updatePlacemarkIconsLayer(AppState.data);
+
+    // Restore state if needed
+    if (wasPlaying) {
+        AppState.animationController.play();
+    }
+}
+
+function setPlaybackSpeed(speed) {
+    AppState.animationController.setSpeed(speed);
+}
+
+// Files dropped on the map are added to what is already loaded
+function setupFileDrop() {
+    const container = document.querySelector('.map-container');
+    const hasFiles = e => Array.from(e.dataTransfer?.types || []).includes('Files');
+    let depth = 0;   // dragenter/dragleave fire for every child element crossed
+
+    container.addEventListener('dragenter', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        depth++;
+        container.classList.add('dragging');
+    });
+
+    container.addEventListener('dragover', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+    });
+
+    container.addEventListener('dragleave', (e) => {
+        if (!hasFiles(e)) return;
+        depth = Math.max(0, depth - 1);
+        if (depth === 0) container.classList.remove('dragging');
+    });
+
+    container.addEventListener('drop', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        depth = 0;
+        container.classList.remove('dragging');
+
+        if (!AppState.map) {
+            showNotification('Set up the map before importing files', 'error');
+            return;
+        }
+        // Dropping never replaces; it merges instead of appending when merge is the mode
+        importFiles(e.dataTransfer.files, {
+            mode: AppState.importSettings.mode === 'merge' ? 'merge' : 'append'
+        });
+    });
+}
+
 // UI Update Functions
+// Controls follow the store, so they stay in step with the animation controller whoever
+// starts, stops or moves playback
+function bindStateToUI() {
+    AppState.subscribe(state => state.animation.isPlaying, updatePlaybackButtonState);
+    AppState.subscribe(
+        state => [state.animation.currentTime, state.animation.duration],
+        updatePlaybackDisplay,
+        { equals: shallowEqual }
+    );
+    AppState.subscribe(state => state.animation.speed, updateSpeedButtonState);
+    AppState.subscribe(state => state.camera.isLocked, updateCameraLockButtonState);
+
+    // Re-render every absolute time shown
+    AppState.subscribe(
+        state => [state.filters.useUTC, state.filters.displayTimeZone],
+        () => {
+            updateTimeline();
+            updatePlaybackDisplay();
+        },
+        { equals: shallowEqual }
+    );
+    AppState.subscribe(state => state.cleaning.showOriginal, () => {
+        if (AppState.data.features.length > 0) {
+            updateCleaningLayers(AppState.data, AppState.cleaning);
+        }
+    });
+}
+
 function updatePlaybackButtonState() {
     const button = document.getElementById('playButton');
     const icon = button.querySelector('.material-icons');
     icon.textContent = AppState.animation.isPlaying ? 'pause' : 'play_arrow';
 }
 
+function updateSpeedButtonState() {
+    document.querySelectorAll('.speed-button').forEach(button => 
+        button.classList.toggle('active', parseFloat(button.dataset.speed) === AppState.animation.speed)
+    );
+}
+
 function updateCameraLockButtonState() {
     const button = document.getElementById('cameraLockButton');
-    if (AppState.animationController && button) {
-        const isLocked = AppState.animationController.camera.isLocked;
-        
-        // Update button visual state
-        if (isLocked) {
-            button.classList.add('active');
-            button.querySelector('.material-icons').textContent = 'videocam_lock';
-            showNotification('Camera locked to vehicle', 'info');
-        } else {
-            button.classList.remove('active');
-            button.querySelector('.material-icons').textContent = 'videocam';
-            showNotification('Camera unlocked', 'info');
-        }
-        
-        // Update AppState
-        AppState.camera.isLocked = isLocked;
-    }
+    if (!button) return;
+
+    button.classList.toggle('active', AppState.camera.isLocked);
+    button.querySelector('.material-icons').textContent = AppState.camera.isLocked ? 'videocam_lock' : 'videocam';
 }
 
 // Map Style Preview Updates
@@ -423,7 +572,107 @@ function initializeSettingsTabs() {
     });
 }
 
+// Time Settings
+function initializeTimeSettings() {
+    const zones = getAvailableTimeZones();
+    const localZone = getLocalTimeZone();
+
+    const fillZoneSelect = (select, value) => {
+        select.innerHTML = '';
+        const options = [
+            { value: 'local', label: `Local (${localZone})` },
+            { value: 'UTC', label: 'UTC' },
+            ...zones.filter(zone => zone !== 'UTC').map(zone => ({ value: zone, label: zone }))
+        ];
+        options.forEach(({ value: optionValue, label }) => {
+            const option = document.createElement('option');
+            option.value = optionValue;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        select.value = value;
+    };
+
+    const displaySelect = document.getElementById('displayTimeZone');
+    fillZoneSelect(displaySelect, AppState.filters.useUTC ? 'UTC' : AppState.filters.displayTimeZone);
+    displaySelect.onchange = () => {
+        AppState.setState('filters', {
+            useUTC: displaySelect.value === 'UTC',
+            displayTimeZone: displaySelect.value
+        });
+    };
+
+    const sourceSelect = document.getElementById('sourceTimeZone');
+    fillZoneSelect(sourceSelect, AppState.importSettings.sourceTimeZone);
+    sourceSelect.onchange = () => {
+        AppState.setState('importSettings', { sourceTimeZone: sourceSelect.value });
+    };
+
+    const importModeSelect = document.getElementById('importMode');
+    importModeSelect.value = AppState.importSettings.mode;
+    importModeSelect.onchange = () => {
+        AppState.setState('importSettings', { mode: importModeSelect.value });
+    };
+
+    const dateOrderSelect = document.getElementById('dateOrder');
+    dateOrderSelect.value = AppState.importSettings.dateOrder;
+    dateOrderSelect.onchange = () => {
+        AppState.setState('importSettings', { dateOrder: dateOrderSelect.value });
+    };
+}
+
+// Cleaning Settings
+// Limits and smoothing take effect on the next import or on "Apply"; the comparison
+// overlay toggles immediately
+function initializeCleaningSettings() {
+    const update = changes => AppState.setState('cleaning', changes);
+
+    const bindNumber = (id, toInput, fromInput) => {
+        const input = document.getElementById(id);
+        input.value = toInput(AppState.cleaning);
+        input.onchange = () => {
+            const value = parseFloat(input.value);
+            if (value > 0) {
+                update(fromInput(value));
+            } else {
+                input.value = toInput(AppState.cleaning);
+            }
+        };
+    };
+
+    bindNumber('cleaningMaxSpeed',
+        s => Math.round(s.maxSpeed * 3.6),
+        value => ({ maxSpeed: value / 3.6 }));
+    bindNumber('cleaningMaxAcceleration',
+        s => s.maxAcceleration,
+        value => ({ maxAcceleration: value }));
+    bindNumber('cleaningProcessNoise',
+        s => s.processNoise,
+        value => ({ processNoise: value }));
+
+    const removeToggle = document.getElementById('cleaningRemoveOutliers');
+    removeToggle.checked = AppState.cleaning.removeOutliers;
+    removeToggle.onchange = () => update({ removeOutliers: removeToggle.checked });
+
+    const smoothingSelect = document.getElementById('cleaningSmoothing');
+    smoothingSelect.value = AppState.cleaning.smoothing;
+    smoothingSelect.onchange = () => update({ smoothing: smoothingSelect.value });
+
+    // The comparison layers follow the store (see bindStateToUI)
+    const showOriginalToggle = document.getElementById('cleaningShowOriginal');
+    showOriginalToggle.checked = AppState.cleaning.showOriginal;
+    showOriginalToggle.onchange = () => update({ showOriginal: showOriginalToggle.checked });
+
+    document.getElementById('applyCleaningButton').onclick = reapplyCleaning;
+}
+
 // Time utilities moved to utils.js
 
 // Initialize when document is ready
-document.addEventListener('DOMContentLoaded', initializeApp);
\ No newline at end of file
+document.addEventListener('DOMContentLoaded', initializeApp);
+
+// Used by project files to restore a session
+export {
+    changeMapStyle,
+    setPlaybackSpeed
+};
@@ -116,9 +116,9 @@ class CameraController {
 
         // Handle speed changes
         if (window.AppState && window.AppState.animation) {
-            window.AppState.subscribe(state => {
-                if (state.animation.speed !== this.currentSpeed) {
-                    this.handleSpeedChange(state.animation.speed);
+            window.AppState.subscribe(state => state.animation.speed, speed => {
+                if (speed !== this.currentSpeed) {
+                    this.handleSpeedChange(speed);
                 }
             });
         }
@@ -0,0 +1,274 @@
+// csv-mapping.js
+// CSV column mapping: header guessing, the mapping dialog and per-header-signature memory
+
+import { NOMINAL_UERE } from './nmea-parser.js';
+
+const STORAGE_KEY = 'csvColumnMappings';
+const PREVIEW_ROWS = 5;
+
+// Mappable fields, in dialog order. Candidates are normalized header names,
+// most specific first; exact matches win over partial ones. exactCandidates are too short
+// to match inside other names ('ele' is in 'acceleration') and only match whole headers.
+const MAPPING_FIELDS = [
+    { key: 'latitude', label: 'Latitude', required: true,
+      candidates: ['latitude', 'lat', 'gps_lat', 'lat_deg', 'y'] },
+    { key: 'longitude', label: 'Longitude', required: true,
+      candidates: ['longitude', 'lon', 'lng', 'long', 'gps_lon', 'gps_lng', 'lon_deg', 'x'] },
+    { key: 'time', label: 'Date/Time (or time of day)', required: true,
+      candidates: ['timestamp', 'datetime', 'date_time', 'recorded_at', 'utc', 'time', 'gps_time', 'utc_time', 'local_time'] },
+    { key: 'date', label: 'Date (if separate)', required: false,
+      candidates: ['date', 'gps_date', 'utc_date'] },
+    { key: 'speed', label: 'Speed', required: false,
+      candidates: ['speed', 'velocity', 'spd', 'speed_kmh', 'speed_mph', 'kmh', 'mph'] },
+    { key: 'heading', label: 'Heading', required: false,
+      candidates: ['bearing', 'heading', 'course', 'direction', 'azimuth', 'cog'] },
+    { key: 'altitude', label: 'Altitude', required: false,
+      candidates: ['altitude', 'elevation', 'gps_alt', 'height'],
+      exactCandidates: ['alt', 'ele', 'alt_m', 'ele_m'] },
+    { key: 'accuracy', label: 'Accuracy / HDOP', required: false,
+      candidates: ['accuracy', 'horizontal_accuracy', 'hacc', 'hdop', 'precision'],
+      exactCandidates: ['acc'] },
+    { key: 'id', label: 'Vehicle/Device ID', required: false,
+      candidates: ['device_id', 'vehicle_id', 'unit_id', 'tracker_id', 'id', 'device', 'vehicle', 'unit', 'plate', 'imei', 'tracker'] },
+    { key: 'segment', label: 'Segment', required: false,
+      candidates: ['segment', 'segment_id', 'trkseg'] }
+];
+
+// Headers that hold only a time of day and need a date column alongside
+const TIME_OF_DAY_HEADERS = ['time', 'gps_time', 'utc_time', 'local_time', 'time_of_day'];
+
+function normalizeHeader(header) {
+    return String(header).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+// Header order and case do not matter; the set of columns does
+function getHeaderSignature(headers) {
+    return headers.map(normalizeHeader).sort().join(',');
+}
+
+// The original importer only understood these exact names; keep importing them without a dialog
+function isLegacyLayout(headers) {
+    return ['latitude', 'longitude', 'timestamp'].every(name => headers.includes(name));
+}
+
+function guessColumnMapping(headers) {
+    const normalized = headers.map(normalizeHeader);
+    const used = new Set();
+    const mapping = {};
+
+    const findColumn = ({ candidates, exactCandidates = [] }) => {
+        for (const candidate of [...candidates, ...exactCandidates]) {
+            const index = normalized.findIndex((name, i) => !used.has(i) && name === candidate);
+            if (index !== -1) return index;
+        }
+        // Partial match only for longer candidates, so 'x' or 'id' do not match everything
+        for (const candidate of candidates.filter(c => c.length > 2)) {
+            const index = normalized.findIndex((name, i) => !used.has(i) && name.includes(candidate));
+            if (index !== -1) return index;
+        }
+        return -1;
+    };
+
+    MAPPING_FIELDS.forEach(field => {
+        const index = findColumn(field);
+        if (index !== -1) {
+            mapping[field.key] = headers[index];
+            used.add(index);
+        } else {
+            mapping[field.key] = null;
+        }
+    });
+
+    // A separate date column only pairs with a time-of-day column; on its own it is
+    // taken to hold the full date/time
+    if (!mapping.time && mapping.date) {
+        mapping.time = mapping.date;
+        mapping.date = null;
+    } else if (mapping.date && !TIME_OF_DAY_HEADERS.includes(normalizeHeader(mapping.time))) {
+        mapping.date = null;
+    }
+
+    return mapping;
+}
+
+function loadSavedMapping(headers) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+        const mapping = saved[getHeaderSignature(headers)];
+        // Ignore stale entries naming columns this file does not have
+        if (mapping && Object.values(mapping).every(column => column === null || headers.includes(column))) {
+            return mapping;
+        }
+    } catch (error) {
+        console.warn('Could not read saved CSV mappings:', error);
+    }
+    return null;
+}
+
+function saveMapping(headers, mapping) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+        saved[getHeaderSignature(headers)] = mapping;
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+    } catch (error) {
+        console.warn('Could not save CSV mapping:', error);
+    }
+}
+
+// Resolve the column mapping for a parsed CSV. Files with the legacy column names are
+// mapped directly; everything else goes through the dialog, pre-filled from a saved
+// mapping for the same header signature or from the guesser.
+// Resolves to null if the user cancels.
+async function resolveColumnMapping(headers, rows) {
+    if (isLegacyLayout(headers)) {
+        return guessColumnMapping(headers);
+    }
+
+    // Mappings saved before a field existed get the guess for it
+    const savedMapping = loadSavedMapping(headers);
+    const guessedMapping = guessColumnMapping(headers);
+    const initialMapping = savedMapping ? { ...guessedMapping, ...savedMapping } : guessedMapping;
+    const mapping = await showColumnMappingDialog(headers, rows.slice(0, PREVIEW_ROWS), initialMapping);
+
+    if (mapping) {
+        saveMapping(headers, mapping);
+    }
+    return mapping;
+}
+
+// Units
+// Values are stored in m/s and metres. Speed and altitude units are read from the header
+// ("Speed (km/h)", "speed_mph", "Altitude (ft)"); anything unmarked is taken as SI. An
+// HDOP column is turned into an accuracy estimate as the NMEA parser does.
+const UNIT_FACTORS = {
+    speed: [
+        { pattern: /(^|_)(kmh|kph|km_h|kmph)(_|$)/, factor: 1 / 3.6 },
+        { pattern: /(^|_)mph(_|$)/, factor: 0.44704 },
+        { pattern: /(^|_)(kn|kt|kts|knot|knots)(_|$)/, factor: 0.514444 }
+    ],
+    altitude: [
+        { pattern: /(^|_)(ft|feet)(_|$)/, factor: 0.3048 }
+    ],
+    accuracy: [
+        { pattern: /(^|_)hdop(_|$)/, factor: NOMINAL_UERE }
+    ]
+};
+
+function getColumnUnitFactor(field, header) {
+    if (!header) return 1;
+    const normalized = normalizeHeader(header);
+    const unit = (UNIT_FACTORS[field] || []).find(({ pattern }) => pattern.test(normalized));
+    return unit ? unit.factor : 1;
+}
+
+// Column Mapping Dialog
+function showColumnMappingDialog(headers, previewRows, initialMapping) {
+    return new Promise(resolve => {
+        const modal = document.getElementById('csvMappingModal');
+        const fieldsContainer = document.getElementById('csvMappingFields');
+
+        renderPreviewTable(headers, previewRows);
+
+        // Field selectors
+        fieldsContainer.innerHTML = '';
+        MAPPING_FIELDS.forEach(field => {
+            const group = document.createElement('div');
+            group.className = 'input-group';
+
+            const label = document.createElement('label');
+            label.textContent = field.label + (field.required ? ' *' : '');
+            label.htmlFor = `csvMap-${field.key}`;
+
+            const select = document.createElement('select');
+            select.id = `csvMap-${field.key}`;
+            select.dataset.field = field.key;
+            select.innerHTML = `<option value="">${field.required ? 'Select column…' : '(none)'}</option>`;
+            headers.forEach(header => {
+                const option = document.createElement('option');
+                option.value = header;
+                option.textContent = header;
+                option.selected = initialMapping[field.key] === header;
+                select.appendChild(option);
+            });
+            select.onchange = () => highlightMappedColumns();
+
+            group.appendChild(label);
+            group.appendChild(select);
+            fieldsContainer.appendChild(group);
+        });
+
+        highlightMappedColumns();
+
+        const close = (result) => {
+            modal.style.display = 'none';
+            resolve(result);
+        };
+
+        document.getElementById('csvMappingImportButton').onclick = () => {
+            const mapping = readMappingFromDialog();
+            const missing = MAPPING_FIELDS.filter(field => field.required && !mapping[field.key]);
+            if (missing.length > 0) {
+                document.getElementById('csvMappingError').textContent =
+                    `Please choose a column for: ${missing.map(field => field.label).join(', ')}`;
+                return;
+            }
+            close(mapping);
+        };
+        document.getElementById('csvMappingCancelButton').onclick = () => close(null);
+        document.getElementById('closeCsvMappingModal').onclick = () => close(null);
+
+        document.getElementById('csvMappingError').textContent = '';
+        modal.style.display = 'flex';
+    });
+}
+
+function renderPreviewTable(headers, previewRows) {
+    const table = document.getElementById('csvPreviewTable');
+    table.innerHTML = '';
+
+    const headerRow = document.createElement('tr');
+    headers.forEach(header => {
+        const th = document.createElement('th');
+        th.textContent = header;
+        th.dataset.column = header;
+        headerRow.appendChild(th);
+    });
+    const thead = document.createElement('thead');
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+
+    const tbody = document.createElement('tbody');
+    previewRows.forEach(row => {
+        const tr = document.createElement('tr');
+        headers.forEach(header => {
+            const td = document.createElement('td');
+            td.textContent = row[header] ?? '';
+            td.dataset.column = header;
+            tr.appendChild(td);
+        });
+        tbody.appendChild(tr);
+    });
+    table.appendChild(tbody);
+}
+
+function readMappingFromDialog() {
+    const mapping = {};
+    document.querySelectorAll('#csvMappingFields select').forEach(select => {
+        mapping[select.dataset.field] = select.value || null;
+    });
+    return mapping;
+}
+
+// Mark mapped columns in the preview so the user can see what each choice picks up
+function highlightMappedColumns() {
+    const mapped = new Set(Object.values(readMappingFromDialog()).filter(Boolean));
+    document.querySelectorAll('#csvPreviewTable [data-column]').forEach(cell => {
+        cell.classList.toggle('mapped', mapped.has(cell.dataset.column));
+    });
+}
+
+export {
+    resolveColumnMapping,
+    guessColumnMapping,
+    getColumnUnitFactor
+};
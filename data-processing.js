@@ -1,25 +1,307 @@
-import { showNotification, formatTime } from './utils.js';
+import {
+    showNotification,
+    formatTime,
+    calculateBearing,
+    fillMissingBearings,
+    getChildText,
+    runSteps
+} from './utils.js';
+import { parseNMEA, isNMEAContent, NOMINAL_UERE } from './nmea-parser.js';
+import { isTakeoutJSON, parseTakeout } from './takeout-parser.js';
+import { isFITContent, parseFIT, parseTCX } from './fitness-parsers.js';
+import { resolveColumnMapping, getColumnUnitFactor } from './csv-mapping.js';
+import { shouldStreamImport, createImportProgress, streamCSVImport } from './streaming-import.js';
+import {
+    createSkipLog,
+    countOutOfOrder,
+    validateImportSteps,
+    showImportReport,
+    updateIssuesLayer
+} from './import-validation.js';
+import {
+    groupTracksSteps,
+    appendTracks,
+    mergeIntoTrack,
+    removeTrack,
+    renameTrack,
+    getTracks,
+    getTrack,
+    updateTrackLinesLayer,
+    updateTrackLegend
+} from './tracks.js';
+import { segmentTripsSteps, getTrackTrips } from './trip-segmentation.js';
+import { isProjectFile, openProjectFile } from './project-files.js';
+import { applyPendingUrlState, discardPendingCamera } from './url-state.js';
+import {
+    cleanTrackDataSteps,
+    restoreOriginalPoints,
+    updateCleaningLayers
+} from './track-cleaning.js';
+import {
+    parseTimestamp,
+    detectTimestampFormat,
+    getImportTimeOptions,
+    formatTimestamp
+} from './timestamps.js';
+
+// Import one file. mode: 'replace' swaps out the loaded data, 'append' adds the file's
+// tracks alongside it, 'merge' adds its points to the selected track.
+async function handleFileImport(file, { mode = 'replace' } = {}) {
+    // Large files keep a progress overlay up until their points are on the map, and the
+    // work after parsing runs in slices under it so the page stays responsive
+    const progress = shouldStreamImport(file, getFileExtension(file)) ? createImportProgress(file) : null;
+    const run = steps => progress ? progress.run(steps) : runSteps(steps);
+
+    // Fitting the map to the new tracks wins over the camera of a link opened earlier
+    discardPendingCamera();
 
-async function handleFileImport(file) {
     try {
-        const fileType = file.name.split('.').pop().toLowerCase();
-        const content = await readFileContent(file);
-        
-        let data;
-        if (fileType === 'csv') {
-            data = await parseCSV(content);
-        } else if (fileType === 'kml') {
-            data = await parseKML(content);
+        const parsed = await parseFile(file, progress);
+
+        // Parsers return null when the user cancels (e.g. the CSV mapping dialog)
+        if (!parsed) return;
+
+        // Row order is only visible before the features are sorted by time, except for
+        // streamed imports, which the worker has already sorted and counted
+        const outOfOrder = parsed.properties?.outOfOrder ?? countOutOfOrder(parsed.features);
+        parsed.properties = { ...parsed.properties, filename: file.name };
+        delete parsed.properties.outOfOrder;
+
+        // Cleaning restarts from the original points so loaded tracks are not smoothed twice
+        const combining = mode !== 'replace' && AppState.data.features.length > 0;
+        const selectedTrackId = AppState.selectedTrackId;
+        let data = parsed;
+        let message = `Successfully loaded ${file.name}`;
+        parsed.features.sort((a, b) => a.properties.timestamp - b.properties.timestamp);
+        if (combining) {
+            const current = restoreOriginalPoints(AppState.data);
+
+            if (mode === 'merge') {
+                const result = mergeIntoTrack(current, parsed, selectedTrackId);
+                data = result.data;
+                message = `Merged ${result.added} point(s) from ${file.name} into ${getTrack(current, selectedTrackId).name}`;
+
+                // Report on the points that went in; timestamp duplicates count as skipped
+                const skipLog = createSkipLog();
+                skipLog.addCount('Already in the track (same timestamp)', result.duplicates);
+                parsed.features = parsed.features.filter(feature => feature.properties.trackId === selectedTrackId);
+                parsed.properties.skipped = [...(parsed.properties.skipped || []), ...skipLog.entries()];
+                parsed.properties.tracks = [getTrack(current, selectedTrackId)];
+            } else {
+                data = appendTracks(current, parsed);
+            }
+
+            // Placemark icons travel with the data (see readKMZIcons)
+            if (parsed.properties.icons) {
+                data.properties = {
+                    ...data.properties,
+                    icons: { ...data.properties.icons, ...parsed.properties.icons }
+                };
+            }
         } else {
-            throw new Error('Unsupported file type');
+            await run(groupTracksSteps(parsed));
+        }
+
+        // Validate the points as imported, before cleaning removes or moves any of them,
+        // so the report is the same in every mode and whatever the cleaning settings
+        const report = await run(validateImportSteps(parsed, { outOfOrder }));
+        if (report && hasTrackingPoints(data) && await run(prepareDataSteps(data))) {
+            showData(data);
+        }
+
+        if (progress?.isCancelled()) {
+            // Loaded tracks were put back to their original points above; clean them again
+            if (combining) {
+                processData(restoreOriginalPoints(AppState.data));
+                selectTrack(selectedTrackId);
+                updateTimeline();
+            }
+            return;
         }
+        if (AppState.data !== data) return; // rejected, already reported
 
-        processData(data);
-        showNotification(`Successfully loaded ${file.name}`, 'info');
+        if (combining) {
+            selectTrack(selectedTrackId);
+            updateTimeline();
+        }
+
+        showNotification(message, 'info');
+        reportImportIssues(parsed, report);
     } catch (error) {
         console.error('Error importing file:', error);
         showNotification('Error importing file: ' + error.message, 'error');
+    } finally {
+        progress?.close();
+    }
+}
+
+// Import several files one after another. After the first file, 'replace' continues as
+// 'append' so the batch ends up loaded together.
+async function importFiles(files, { mode = 'replace' } = {}) {
+    // A project replaces the whole session, so it is opened on its own
+    const project = Array.from(files).find(isProjectFile);
+    if (project) {
+        if (files.length > 1) {
+            showNotification(`Opening ${project.name}; the other files were not imported`, 'warning');
+        }
+        await openProjectFile(project);
+        return;
+    }
+
+    for (const [index, file] of Array.from(files).entries()) {
+        await handleFileImport(file, { mode: index > 0 && mode === 'replace' ? 'append' : mode });
+    }
+}
+
+// Take a track out of the loaded data; removing the last one clears the map
+function removeLoadedTrack(trackId) {
+    const remaining = removeTrack(restoreOriginalPoints(AppState.data), trackId);
+    if (remaining.features.length === 0) {
+        clearData();
+        return;
+    }
+
+    const selectedTrackId = AppState.selectedTrackId;
+    processData(remaining);
+    selectTrack(selectedTrackId);
+    updateTimeline();
+}
+
+function renameLoadedTrack(trackId, name) {
+    if (!renameTrack(AppState.data, trackId, name)) return;
+    selectTrack(AppState.selectedTrackId);
+    updateTimeline();
+}
+
+function clearData() {
+    if (AppState.animationController) {
+        AppState.animationController.clearTrackData();
+    } else {
+        AppState.setState('animation', { isPlaying: false, currentTime: 0, duration: 0 });
+    }
+
+    AppState.data = {
+        type: 'FeatureCollection',
+        features: []
+    };
+    AppState.setState('selection', { trackId: null });
+    AppState.bounds = null;
+
+    const empty = { type: 'FeatureCollection', features: [] };
+    ['track-lines', 'original-track', 'import-issues', 'placemark-icons'].forEach(id => {
+        AppState.map?.getSource(id)?.setData(empty);
+    });
+    if (AppState.webglLayer) {
+        AppState.webglLayer.updateVehicles([], null);
     }
+
+    updateTrackLegend(AppState.data, null);
+    document.getElementById('timelineContent').innerHTML = '';
+    updatePlaybackDisplay();
+}
+
+// Extensions that name their format; anything else (.txt, .xml, .log, none) is sniffed
+const PARSED_EXTENSIONS = ['csv', 'kml', 'gpx', 'tcx', 'geojson', 'json', 'nmea'];
+
+function getFileExtension(file) {
+    return file.name.includes('.') ? file.name.split('.').pop().toLowerCase() : '';
+}
+
+// Route a file to its parser by extension, or by content for generic or missing extensions.
+// progress is the overlay for streamed imports (see handleFileImport).
+async function parseFile(file, progress) {
+    const extension = getFileExtension(file);
+    
+    // KMZ (a zip archive) and FIT are binary
+    if (extension === 'kmz') {
+        return parseKMZ(await readFileArrayBuffer(file));
+    } else if (extension === 'fit') {
+        return parseFIT(await readFileArrayBuffer(file));
+    }
+    
+    // Very large CSVs are streamed through a worker so the page stays responsive
+    if (shouldStreamImport(file, extension)) {
+        return streamCSVImport(file, progress);
+    }
+    
+    const content = await readFileContent(file);
+    const fileType = PARSED_EXTENSIONS.includes(extension) ? extension : sniffFileType(content);
+    
+    if (fileType === 'kmz') {
+        return parseKMZ(await readFileArrayBuffer(file));
+    } else if (fileType === 'fit') {
+        return parseFIT(await readFileArrayBuffer(file));
+    } else if (fileType === 'csv') {
+        return parseCSV(content);
+    } else if (fileType === 'kml') {
+        return parseKML(content);
+    } else if (fileType === 'gpx') {
+        return parseGPX(content);
+    } else if (fileType === 'tcx') {
+        return parseTCX(content);
+    } else if (fileType === 'geojson' || fileType === 'json') {
+        return parseJSON(content);
+    } else if (fileType === 'nmea') {
+        return parseNMEA(content);
+    }
+    throw new Error('Unsupported file type');
+}
+
+function sniffFileType(content) {
+    if (content.startsWith('PK\u0003\u0004')) return 'kmz';
+    if (isFITContent(content)) return 'fit';
+
+    const head = content.slice(0, 4096).replace(/^\uFEFF/, '').trimStart();
+    if (head.startsWith('{') || head.startsWith('[')) return 'geojson';
+    if (head.startsWith('<')) {
+        if (/<kml[\s>]/i.test(head)) return 'kml';
+        if (/<gpx[\s>]/i.test(head)) return 'gpx';
+        if (/<TrainingCenterDatabase[\s>]/.test(head)) return 'tcx';
+        return null;
+    }
+    if (isNMEAContent(content)) return 'nmea';
+
+    // A delimited header line; the mapping dialog sorts out which column is which
+    if (/^[^\n]*[,;\t]/.test(head)) return 'csv';
+    return null;
+}
+
+// Validation report after an import; only shown when something needs attention
+function reportImportIssues(data, report) {
+    data.properties.validation = {
+        issueCount: report.issueCount,
+        skippedCount: report.skippedCount,
+        outOfOrder: report.outOfOrder
+    };
+
+    updateIssuesLayer(report);
+    if (report.issueCount === 0) return;
+
+    showImportReport(report, {
+        onSelect: issue => {
+            if (issue.trackId) selectTrack(issue.trackId);
+            seekToTimestamp(issue.timestamp);
+            AppState.map.flyTo({
+                center: issue.coordinates,
+                zoom: Math.max(AppState.map.getZoom(), 16)
+            });
+        }
+    });
+}
+
+// Move the shared playback clock to an absolute time
+function seekToTimestamp(timestamp) {
+    if (!AppState.data || AppState.data.features.length === 0) return;
+
+    const time = (timestamp - AppState.data.features[0].properties.timestamp) / 1000;
+    if (AppState.animationController) {
+        AppState.animationController.seekTo(time);
+    } else {
+        AppState.setState('animation', {
+            currentTime: Math.max(0, Math.min(time, AppState.animation.duration))
+        });
+    }
+    updateVehiclePosition();
 }
 
 function readFileContent(file) {
@@ -31,47 +313,116 @@ function readFileContent(file) {
     });
 }
 
-async function parseCSV(content) {
+function readFileArrayBuffer(file) {
     return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = e => resolve(e.target.result);
+        reader.onerror = () => reject(new Error('Error reading file'));
+        reader.readAsArrayBuffer(file);
+    });
+}
+
+async function parseCSV(content) {
+    const results = await new Promise((resolve, reject) => {
         Papa.parse(content, {
             header: true,
             dynamicTyping: true,
             skipEmptyLines: true,
-            complete: (results) => {
-                if (results.errors && results.errors.length > 0) {
-                    console.warn('CSV parsing warnings:', results.errors);
-                }
-                
-                const features = results.data
-                    .filter(row => row.latitude && row.longitude && row.timestamp)
-                    .map(row => ({
-                        type: 'Feature',
-                        geometry: {
-                            type: 'Point',
-                            coordinates: [row.longitude, row.latitude]
-                        },
-                        properties: {
-                            timestamp: new Date(row.timestamp).getTime(),
-                            bearing: row.bearing || 0,
-                            speed: row.speed,
-                            altitude: row.altitude,
-                            accuracy: row.accuracy
-                        }
-                    }));
-
-                resolve({
-                    type: 'FeatureCollection',
-                    features: features,
-                    properties: {
-                        source: 'csv-import',
-                        filename: 'import.csv',
-                        importedAt: new Date().toISOString()
-                    }
-                });
-            },
+            complete: resolve,
             error: reject
         });
     });
+
+    if (results.errors && results.errors.length > 0) {
+        console.warn('CSV parsing warnings:', results.errors);
+    }
+
+    // Work out which columns hold position, time, etc. (may prompt the user)
+    const headers = results.meta.fields || [];
+    const mapping = await resolveColumnMapping(headers, results.data);
+    if (!mapping) return null;
+
+    // Detect one timestamp format for the whole column (epoch, Excel serial, DMY/MDY...)
+    const timeOptions = getImportTimeOptions();
+    timeOptions.format = detectTimestampFormat(
+        results.data.slice(0, 500).map(row => getCSVTimeValue(row, mapping))
+    );
+
+    // Speed, altitude and accuracy are converted from the units their headers name
+    const unitFactors = {
+        speed: getColumnUnitFactor('speed', mapping.speed),
+        altitude: getColumnUnitFactor('altitude', mapping.altitude),
+        accuracy: getColumnUnitFactor('accuracy', mapping.accuracy)
+    };
+
+    const skipLog = createSkipLog();
+    const features = [];
+    results.data.forEach((row, index) => {
+        const feature = mapCSVRow(row, mapping, timeOptions, unitFactors);
+        if (feature) {
+            features.push(feature);
+        } else {
+            skipLog.add(describeSkippedCSVRow(row, mapping), `row ${index + 1}`);
+        }
+    });
+
+    return {
+        type: 'FeatureCollection',
+        features: features,
+        properties: {
+            source: 'csv-import',
+            filename: 'import.csv',
+            columnMapping: mapping,
+            skipped: skipLog.entries(),
+            importedAt: new Date().toISOString()
+        }
+    };
+}
+
+// Split date and time-of-day columns are joined before parsing
+function getCSVTimeValue(row, mapping) {
+    return mapping.date ?
+        `${row[mapping.date] ?? ''} ${row[mapping.time] ?? ''}`.trim() :
+        row[mapping.time];
+}
+
+function describeSkippedCSVRow(row, mapping) {
+    if (isNaN(parseFloat(row[mapping.latitude])) || isNaN(parseFloat(row[mapping.longitude]))) {
+        return 'Missing or invalid latitude/longitude';
+    }
+    return 'Missing or unreadable timestamp';
+}
+
+// Optional numeric column, scaled to SI units; undefined when unmapped or unreadable
+function readCSVNumber(row, column, factor) {
+    if (!column) return undefined;
+    const value = parseFloat(row[column]);
+    return isNaN(value) ? undefined : value * factor;
+}
+
+function mapCSVRow(row, mapping, timeOptions, unitFactors) {
+    const latitude = parseFloat(row[mapping.latitude]);
+    const longitude = parseFloat(row[mapping.longitude]);
+    const timestamp = parseTimestamp(getCSVTimeValue(row, mapping), timeOptions);
+    
+    if (isNaN(latitude) || isNaN(longitude) || isNaN(timestamp)) return null;
+
+    return {
+        type: 'Feature',
+        geometry: {
+            type: 'Point',
+            coordinates: [longitude, latitude]
+        },
+        properties: {
+            timestamp: timestamp,
+            bearing: (mapping.heading && parseFloat(row[mapping.heading])) || 0,
+            speed: readCSVNumber(row, mapping.speed, unitFactors.speed),
+            altitude: readCSVNumber(row, mapping.altitude, unitFactors.altitude),
+            accuracy: readCSVNumber(row, mapping.accuracy, unitFactors.accuracy),
+            deviceId: mapping.id ? row[mapping.id] : undefined,
+            segment: readCSVNumber(row, mapping.segment, 1)
+        }
+    };
 }
 
 async function parseKML(content) {
@@ -80,31 +431,33 @@ async function parseKML(content) {
         const kml = parser.parseFromString(content, 'text/xml');
         const geoJSON = toGeoJSON.kml(kml);
 
-        const features = geoJSON.features
-            .filter(feature => feature.geometry.type === 'Point')
-            .map(feature => {
-                // Try to extract timestamp from different possible KML structures
-                let timestamp = feature.properties.timeStamp || 
-                               feature.properties.timestamp || 
-                               feature.properties.when;
-                               
-                // Some KML files use <when> tag inside <TimeStamp>
-                if (!timestamp && feature.properties.TimeStamp) {
-                    timestamp = feature.properties.TimeStamp.when;
+        // Shared so every expanded line or track becomes its own track break
+        const segmentCounter = { next: 0 };
+        const skipLog = createSkipLog();
+
+        // gx:Track and gx:MultiTrack are read straight from the DOM: toGeoJSON drops
+        // <gx:angles> and collapses single-coordinate tracks, so skip its version of them
+        const trackFeatures = parseKMLTracks(kml, segmentCounter, skipLog);
+
+        const otherFeatures = geoJSON.features
+            .filter(feature => feature.geometry && !feature.properties.coordinateProperties?.times)
+            .flatMap(feature => {
+                if (feature.geometry.type === 'Point') {
+                    return [parseKMLPoint(feature)];
                 }
-                
-                return {
-                    type: 'Feature',
-                    geometry: feature.geometry,
-                    properties: {
-                        timestamp: new Date(timestamp).getTime(),
-                        bearing: feature.properties.bearing || feature.properties.heading || 0,
-                        name: feature.properties.name,
-                        description: feature.properties.description
-                    }
-                };
+                if (feature.geometry.type === 'LineString' || feature.geometry.type === 'MultiLineString') {
+                    return parseKMLTimeSpanLine(feature, segmentCounter, skipLog);
+                }
+                skipLog.add(`Unsupported ${feature.geometry.type} placemark`, feature.properties.name);
+                return [];
+            });
+
+        const features = [...trackFeatures, ...otherFeatures]
+            .filter(feature => {
+                if (!isNaN(feature.properties.timestamp)) return true;
+                skipLog.add('Placemark without a readable timestamp', feature.properties.name);
+                return false;
             })
-            .filter(feature => !isNaN(feature.properties.timestamp))
             .sort((a, b) => a.properties.timestamp - b.properties.timestamp);
 
         return {
@@ -113,6 +466,7 @@ async function parseKML(content) {
             properties: {
                 source: 'kml-import',
                 filename: 'import.kml',
+                skipped: skipLog.entries(),
                 importedAt: new Date().toISOString()
             }
         };
@@ -122,33 +476,525 @@ async function parseKML(content) {
     }
 }
 
-function processData(data) {
-    // Validate data
-    if (!data || !data.features || data.features.length === 0) {
-        showNotification('No valid tracking points found in file', 'error');
-        return;
+function parseKMLPoint(feature) {
+    // Try to extract timestamp from different possible KML structures
+    let timestamp = feature.properties.timeStamp || 
+                   feature.properties.timestamp || 
+                   feature.properties.when;
+                   
+    // Some KML files use <when> tag inside <TimeStamp>
+    if (!timestamp && feature.properties.TimeStamp) {
+        timestamp = feature.properties.TimeStamp.when;
+    }
+    
+    return {
+        type: 'Feature',
+        geometry: feature.geometry,
+        properties: {
+            timestamp: parseTimestamp(timestamp, getImportTimeOptions()),
+            bearing: feature.properties.bearing || feature.properties.heading || 0,
+            name: feature.properties.name,
+            description: feature.properties.description,
+            icon: feature.properties.icon,
+            iconScale: feature.properties['icon-scale']
+        }
+    };
+}
+
+// KMZ Parsing
+// A KMZ is a zip holding one root KML (conventionally doc.kml) plus any referenced
+// resources. Icons bundled in the archive are kept on the data as data URLs and the
+// placemarks' icon hrefs rewritten to their image ids.
+async function parseKMZ(buffer) {
+    let zip;
+    try {
+        zip = await JSZip.loadAsync(buffer);
+    } catch (error) {
+        console.error('Error reading KMZ archive:', error);
+        throw new Error('Invalid KMZ archive');
+    }
+
+    const kmlPaths = Object.keys(zip.files).filter(path => 
+        !zip.files[path].dir && path.toLowerCase().endsWith('.kml')
+    );
+    
+    // Prefer doc.kml, then any KML at the archive root, then the first KML anywhere
+    const rootPath = kmlPaths.find(path => path.toLowerCase() === 'doc.kml') ||
+                    kmlPaths.find(path => !path.includes('/')) ||
+                    kmlPaths[0];
+    
+    if (!rootPath) {
+        throw new Error('KMZ archive does not contain a KML document');
     }
+
+    const content = await zip.file(rootPath).async('string');
+    const data = await parseKML(content);
     
+    const icons = await readKMZIcons(zip);
+    const usedIcons = {};
+    data.features.forEach(feature => {
+        const href = feature.properties.icon;
+        const icon = href && icons.get(resolveArchivePath(rootPath, href));
+        if (icon) {
+            feature.properties.icon = icon.id;
+            usedIcons[icon.id] = icon.url;
+        }
+    });
+
+    data.properties.icons = usedIcons;
+    data.properties.source = 'kmz-import';
+    data.properties.filename = 'import.kmz';
+    return data;
+}
+
+const ICON_TYPES = { png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp' };
+
+// Every image in the archive as { id, url } keyed by its archive path. The data URLs go
+// in data.properties.icons, so the icons survive map style changes and saved projects.
+async function readKMZIcons(zip) {
+    const icons = new Map();
+    const imagePaths = Object.keys(zip.files).filter(path => 
+        !zip.files[path].dir && /\.(png|jpe?g|gif|webp)$/i.test(path)
+    );
+
+    for (const path of imagePaths) {
+        try {
+            const type = ICON_TYPES[path.split('.').pop().toLowerCase()];
+            const base64 = await zip.file(path).async('base64');
+            icons.set(path, { id: `kmz-icon:${path}`, url: `data:${type};base64,${base64}` });
+        } catch (error) {
+            console.warn(`Could not load KMZ icon ${path}:`, error);
+        }
+    }
+
+    return icons;
+}
+
+// Resolve an href from the root KML against the archive, ignoring remote URLs
+function resolveArchivePath(rootPath, href) {
+    if (/^[a-z]+:\/\//i.test(href)) return href;
+    
+    const parts = rootPath.split('/').slice(0, -1);
+    href.split('/').forEach(part => {
+        if (part === '..') {
+            parts.pop();
+        } else if (part && part !== '.') {
+            parts.push(part);
+        }
+    });
+    return parts.join('/');
+}
+
+// Expand <gx:Track> elements (including those inside <gx:MultiTrack>) into timestamped
+// points. <when>, <gx:coord> and the optional <gx:angles> are parallel lists.
+function parseKMLTracks(kml, segmentCounter, skipLog) {
+    const features = [];
+    const timeOptions = getImportTimeOptions();
+
+    Array.from(kml.getElementsByTagNameNS('*', 'Placemark')).forEach(placemark => {
+        const name = getChildText(placemark, 'name');
+
+        Array.from(placemark.getElementsByTagNameNS('*', 'Track')).forEach(track => {
+            const whens = Array.from(track.getElementsByTagNameNS('*', 'when'));
+            const coords = Array.from(track.getElementsByTagNameNS('*', 'coord'));
+            const angles = Array.from(track.getElementsByTagNameNS('*', 'angles'));
+            const segmentIndex = segmentCounter.next++;
+
+            const trackFeatures = coords.map((coord, i) => {
+                const [lng, lat, altitude] = coord.textContent.trim().split(/\s+/).map(parseFloat);
+                const timestamp = whens[i] ? parseTimestamp(whens[i].textContent.trim(), timeOptions) : NaN;
+                const heading = angles[i] ? parseFloat(angles[i].textContent.trim().split(/\s+/)[0]) : NaN;
+
+                if (isNaN(lng) || isNaN(lat) || isNaN(timestamp)) {
+                    skipLog.add(
+                        isNaN(timestamp) ? 'gx:Track point without a readable <when>' : 'gx:Track point with invalid <gx:coord>',
+                        `${name || 'track'} point ${i + 1}`
+                    );
+                    return null;
+                }
+
+                return {
+                    type: 'Feature',
+                    geometry: {
+                        type: 'Point',
+                        coordinates: [lng, lat]
+                    },
+                    properties: {
+                        timestamp: timestamp,
+                        bearing: isNaN(heading) ? null : heading,
+                        altitude: isNaN(altitude) ? undefined : altitude,
+                        name: name || undefined,
+                        segment: segmentIndex
+                    }
+                };
+            }).filter(feature => feature !== null);
+
+            fillMissingBearings(trackFeatures);
+            features.push(...trackFeatures);
+        });
+    });
+
+    return features;
+}
+
+// Spread a <TimeSpan> begin/end across a LineString (or each part of a MultiLineString)
+// in proportion to distance travelled, assuming constant speed along the line
+function parseKMLTimeSpanLine(feature, segmentCounter, skipLog) {
+    const timespan = feature.properties.timespan;
+    const timeOptions = getImportTimeOptions();
+    const begin = timespan ? parseTimestamp(timespan.begin, timeOptions) : NaN;
+    const end = timespan ? parseTimestamp(timespan.end, timeOptions) : NaN;
+
+    if (isNaN(begin) || isNaN(end)) {
+        skipLog.add('Line without a complete TimeSpan (begin and end)', feature.properties.name);
+        return [];
+    }
+
+    const lines = feature.geometry.type === 'LineString' ?
+        [feature.geometry.coordinates] :
+        feature.geometry.coordinates;
+
+    // Cumulative distance along all parts, so one TimeSpan covers the whole placemark
+    let totalDistance = 0;
+    const lineDistances = lines.map(coordinates => coordinates.map((coord, i) => {
+        if (i > 0) {
+            totalDistance += turf.distance(
+                turf.point(coordinates[i - 1]),
+                turf.point(coord),
+                { units: 'kilometers' }
+            );
+        }
+        return totalDistance;
+    }));
+
+    const features = [];
+    lines.forEach((coordinates, lineIndex) => {
+        const segmentIndex = segmentCounter.next++;
+
+        const lineFeatures = coordinates.map((coord, i) => {
+            // Fall back to even spacing by vertex if the line has no length
+            const progress = totalDistance > 0 ?
+                lineDistances[lineIndex][i] / totalDistance :
+                i / Math.max(1, coordinates.length - 1);
+
+            return {
+                type: 'Feature',
+                geometry: {
+                    type: 'Point',
+                    coordinates: [coord[0], coord[1]]
+                },
+                properties: {
+                    timestamp: begin + (end - begin) * progress,
+                    bearing: null,
+                    altitude: coord[2],
+                    name: feature.properties.name,
+                    description: feature.properties.description,
+                    segment: segmentIndex
+                }
+            };
+        });
+
+        fillMissingBearings(lineFeatures);
+        features.push(...lineFeatures);
+    });
+
+    return features;
+}
+
+// GPX Parsing
+// Reads <trk>/<trkseg>/<trkpt> into the same point feature shape as parseCSV/parseKML.
+// Each <trkseg> gets its own segment index so playback does not interpolate across
+// the gap between segments (signal loss, device paused, etc.).
+async function parseGPX(content) {
+    const parser = new DOMParser();
+    const gpx = parser.parseFromString(content, 'text/xml');
+
+    if (gpx.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('Invalid GPX file structure');
+    }
+
+    const features = [];
+    const skipLog = createSkipLog();
+    let segmentIndex = 0;
+    let trackName = null;
+
+    Array.from(gpx.getElementsByTagNameNS('*', 'trk')).forEach(track => {
+        if (!trackName) {
+            trackName = getChildText(track, 'name');
+        }
+
+        Array.from(track.getElementsByTagNameNS('*', 'trkseg')).forEach(segment => {
+            const segmentFeatures = Array.from(segment.getElementsByTagNameNS('*', 'trkpt'))
+                .map((point, i) => {
+                    const feature = parseGPXTrackPoint(point, segmentIndex);
+                    if (!feature) {
+                        skipLog.add(
+                            getChildText(point, 'time') ? 'Track point with invalid lat/lon or <time>' : 'Track point without <time>',
+                            `segment ${segmentIndex + 1} point ${i + 1}`
+                        );
+                    }
+                    return feature;
+                })
+                .filter(feature => feature !== null);
+
+            fillMissingBearings(segmentFeatures);
+            features.push(...segmentFeatures);
+            segmentIndex++;
+        });
+    });
+
+    return {
+        type: 'FeatureCollection',
+        features: features,
+        properties: {
+            source: 'gpx-import',
+            filename: 'import.gpx',
+            name: trackName || undefined,
+            segmentCount: segmentIndex,
+            skipped: skipLog.entries(),
+            importedAt: new Date().toISOString()
+        }
+    };
+}
+
+function parseGPXTrackPoint(point, segmentIndex) {
+    const lat = parseFloat(point.getAttribute('lat'));
+    const lon = parseFloat(point.getAttribute('lon'));
+    const time = getChildText(point, 'time');
+    const timestamp = parseTimestamp(time, getImportTimeOptions());
+
+    if (isNaN(lat) || isNaN(lon) || isNaN(timestamp)) return null;
+
+    // GPX 1.0 has <speed>/<course> directly on the point; GPX 1.1 devices put them in
+    // <extensions> (Garmin TrackPointExtension and similar), so match by local name
+    const speed = parseFloat(getChildText(point, 'speed'));
+    const course = parseFloat(getChildText(point, 'course') ?? getChildText(point, 'bearing'));
+    const elevation = parseFloat(getChildText(point, 'ele'));
+    const hdop = parseFloat(getChildText(point, 'hdop'));
+
+    return {
+        type: 'Feature',
+        geometry: {
+            type: 'Point',
+            coordinates: [lon, lat]
+        },
+        properties: {
+            timestamp: timestamp,
+            bearing: isNaN(course) ? null : course,
+            speed: isNaN(speed) ? undefined : speed, // m/s
+            altitude: isNaN(elevation) ? undefined : elevation,
+            accuracy: isNaN(hdop) ? undefined : hdop * NOMINAL_UERE, // metres, as for NMEA
+            segment: segmentIndex
+        }
+    };
+}
+
+// .json files are GeoJSON or Google Takeout location history; parsed once, then routed
+async function parseJSON(content) {
+    let json;
+    try {
+        json = JSON.parse(content);
+    } catch (error) {
+        console.error('Error parsing JSON:', error);
+        throw new Error('Invalid JSON file');
+    }
+
+    return isTakeoutJSON(json) ? parseTakeout(json) : parseGeoJSON(json);
+}
+
+// GeoJSON Parsing
+// Accepts Point features with a time property, and LineString/MultiLineString features
+// whose per-vertex times are in coordTimes (togeojson < 4, many GPS tools) or
+// coordinateProperties.times (togeojson >= 4). Lines are expanded into points.
+// Takes GeoJSON text or an already parsed object.
+async function parseGeoJSON(content) {
+    let geoJSON = content;
+    if (typeof content === 'string') {
+        try {
+            geoJSON = JSON.parse(content);
+        } catch (error) {
+            console.error('Error parsing GeoJSON:', error);
+            throw new Error('Invalid GeoJSON file');
+        }
+    }
+
+    let sourceFeatures;
+    if (geoJSON.type === 'FeatureCollection' && Array.isArray(geoJSON.features)) {
+        sourceFeatures = geoJSON.features;
+    } else if (geoJSON.type === 'Feature') {
+        sourceFeatures = [geoJSON];
+    } else {
+        throw new Error('GeoJSON must be a Feature or FeatureCollection');
+    }
+
+    let segmentIndex = 0;
+    const features = [];
+    const skipLog = createSkipLog();
+
+    sourceFeatures.forEach((feature, featureIndex) => {
+        const location = `feature ${featureIndex + 1}`;
+        if (!feature || !feature.geometry) {
+            skipLog.add('Feature without geometry', location);
+            return;
+        }
+        const properties = feature.properties || {};
+
+        if (feature.geometry.type === 'Point') {
+            const point = createGeoJSONPoint(
+                feature.geometry.coordinates,
+                properties.timestamp ?? properties.time ?? properties.datetime ?? properties.when,
+                properties
+            );
+            if (point) {
+                features.push(point);
+            } else {
+                skipLog.add('Point without valid coordinates or timestamp', location);
+            }
+            return;
+        }
+
+        if (feature.geometry.type !== 'LineString' && feature.geometry.type !== 'MultiLineString') {
+            skipLog.add(`Unsupported ${feature.geometry.type} geometry`, location);
+            return;
+        }
+
+        const isMulti = feature.geometry.type === 'MultiLineString';
+        const lines = isMulti ? feature.geometry.coordinates : [feature.geometry.coordinates];
+        const times = properties.coordTimes || properties.coordinateProperties?.times;
+        if (!Array.isArray(times)) {
+            skipLog.add('Line without coordTimes', location);
+            return;
+        }
+
+        lines.forEach((coordinates, lineIndex) => {
+            const lineTimes = isMulti ? times[lineIndex] : times;
+            if (!Array.isArray(lineTimes)) {
+                skipLog.add('Line without coordTimes', `${location} part ${lineIndex + 1}`);
+                return;
+            }
+
+            const lineFeatures = coordinates
+                .map((coord, i) => {
+                    const point = createGeoJSONPoint(coord, lineTimes[i], {
+                        name: properties.name,
+                        segment: segmentIndex
+                    });
+                    if (!point) skipLog.add('Vertex without valid coordinates or time', `${location} vertex ${i + 1}`);
+                    return point;
+                })
+                .filter(point => point !== null);
+
+            fillMissingBearings(lineFeatures);
+            features.push(...lineFeatures);
+            segmentIndex++;
+        });
+    });
+
+    // Point collections rarely carry a heading; derive it from each device's time-ordered
+    // sequence, so bearings never point from one vehicle to another
+    features.sort((a, b) => a.properties.timestamp - b.properties.timestamp);
+    const devices = new Map();
+    features.forEach(feature => {
+        const key = String(feature.properties.deviceId ?? '').trim();
+        if (!devices.has(key)) devices.set(key, []);
+        devices.get(key).push(feature);
+    });
+    devices.forEach(deviceFeatures => fillMissingBearings(deviceFeatures));
+
+    return {
+        type: 'FeatureCollection',
+        features: features,
+        properties: {
+            source: 'geojson-import',
+            filename: 'import.geojson',
+            name: geoJSON.properties?.name,
+            skipped: skipLog.entries(),
+            importedAt: new Date().toISOString()
+        }
+    };
+}
+
+function createGeoJSONPoint(coordinates, time, properties) {
+    if (!Array.isArray(coordinates) || coordinates.length < 2) return null;
+
+    const timestamp = parseTimestamp(time, getImportTimeOptions());
+    if (isNaN(timestamp)) return null;
+
+    const bearing = properties.bearing ?? properties.heading ?? properties.course;
+
+    return {
+        type: 'Feature',
+        geometry: {
+            type: 'Point',
+            coordinates: [coordinates[0], coordinates[1]]
+        },
+        properties: {
+            timestamp: timestamp,
+            bearing: typeof bearing === 'number' ? bearing : null,
+            speed: properties.speed,
+            altitude: coordinates[2] ?? properties.altitude ?? properties.elevation,
+            accuracy: properties.accuracy,
+            heartRate: properties.heartRate,
+            cadence: properties.cadence,
+            power: properties.power,
+            deviceId: properties.deviceId,
+            name: properties.name,
+            segment: properties.segment
+        }
+    };
+}
+
+function processData(data) {
+    if (!hasTrackingPoints(data)) return;
+    runSteps(prepareDataSteps(data));
+    showData(data);
+}
+
+function hasTrackingPoints(data) {
+    if (data?.features?.length > 0) return true;
+    showNotification('No valid tracking points found in file', 'error');
+    return false;
+}
+
+// processData is split in two: the passes over the points, which large imports run in
+// slices (see runStepsAsync), and putting the result on the map
+function* prepareDataSteps(data) {
     // Sort features by timestamp
     data.features.sort((a, b) => a.properties.timestamp - b.properties.timestamp);
 
-    // Calculate duration and prepare animation
+    // Split into one track per device identifier
+    yield* groupTracksSteps(data);
+
+    // Flag GPS outliers per track, and remove or smooth them when configured.
+    // Original positions stay on the data for comparison and re-cleaning.
+    yield* cleanTrackDataSteps(data, AppState.cleaning);
+
+    // All tracks share one playback clock, measured from the earliest point
     const firstTime = data.features[0].properties.timestamp;
     data.features.forEach(feature => {
         feature.properties.elapsedTime = (feature.properties.timestamp - firstTime) / 1000;
     });
 
+    // Split each track into trips, stops and gaps for the timeline
+    yield* segmentTripsSteps(data);
+
+    return data;
+}
+
+function showData(data) {
     // Update AppState
     AppState.data = data;
-    AppState.animation.currentTime = 0;
-    AppState.animation.duration = data.features[data.features.length - 1].properties.elapsedTime;
-    AppState.animation.currentPoint = 0;
-    AppState.animation.isPlaying = false;
+    AppState.setState('animation', {
+        isPlaying: false,
+        currentTime: 0,
+        duration: data.features[data.features.length - 1].properties.elapsedTime
+    });
 
-    // Pass the data to the animation controller
+    // Pass every track to the animation controller and follow the first one
     if (AppState.animationController) {
         AppState.animationController.setTrackData(data);
     }
+    selectTrack(getTracks(data)[0].id);
 
     // Calculate bounds
     const bounds = new mapboxgl.LngLatBounds();
@@ -163,23 +1009,120 @@ function processData(data) {
         duration: 2000
     });
 
+    // Show each track's path and any placemark icons that came with the import
+    updateTrackLinesLayer(data);
+    updateCleaningLayers(data, AppState.cleaning);
+    updatePlacemarkIconsLayer(data)
+        .catch(error => console.error('Error showing placemark icons:', error));
+
     // Initialize timeline
     updateTimeline();
     updatePlaybackDisplay();
     updateVehiclePosition();
+
+    // A shared link opened before the tracks were loaded
+    applyPendingUrlState();
 }
 
-// Calculate bearing between points with smoothing
-function calculateBearing(point1, point2) {
-    // Convert to turf points
-    const start = turf.point(point1);
-    const end = turf.point(point2);
+// Re-run cleaning on the loaded data with the current settings, starting from the
+// original points rather than compounding on an earlier pass
+function reapplyCleaning() {
+    if (!AppState.data || AppState.data.features.length === 0) {
+        showNotification('Import a track to clean first', 'error');
+        return;
+    }
+
+    const selectedTrackId = AppState.selectedTrackId;
+    processData(restoreOriginalPoints(AppState.data));
+    selectTrack(selectedTrackId);
+    updateTimeline();
+
+    const { outlierCount, removedCount } = AppState.data.properties.cleaning;
+    showNotification(removedCount > 0 ?
+        `Removed ${removedCount} outlier point(s)` :
+        `Flagged ${outlierCount} outlier point(s)`, 'info');
+}
+
+// Make a track the followed one: the camera lock, clock readout and legend highlight
+// refer to it. Playback position is shared by all tracks and is left alone.
+function selectTrack(trackId) {
+    if (!getTrack(AppState.data, trackId)) return;
+
+    AppState.setState('selection', { trackId });
+
+    if (AppState.animationController) {
+        AppState.animationController.setFollowedTrack(trackId);
+    }
+
+    updateTrackLegend(AppState.data, trackId, id => {
+        selectTrack(id);
+        updateTimeline();
+    });
+}
+
+function getSelectedTrackFeatures() {
+    if (!AppState.data || AppState.data.features.length === 0) return [];
+    return AppState.data.features.filter(feature => 
+        feature.properties.trackId === AppState.selectedTrackId
+    );
+}
+
+// Add the data's placemark icons (see readKMZIcons) to the map style, skipping any it has.
+// A style change drops them, so this runs again each time the layer is shown.
+async function registerPlacemarkIcons(data) {
+    const missing = Object.entries(data.properties?.icons || {})
+        .filter(([id]) => !AppState.map.hasImage(id));
+
+    for (const [id, url] of missing) {
+        try {
+            const blob = await (await fetch(url)).blob();
+            const image = await createImageBitmap(blob);
+            if (!AppState.map.hasImage(id)) {
+                AppState.map.addImage(id, image);
+            }
+        } catch (error) {
+            console.warn(`Could not load placemark icon ${id}:`, error);
+        }
+    }
+}
+
+// Render placemarks whose icon (e.g. from a KMZ archive) is registered in the map style
+async function updatePlacemarkIconsLayer(data) {
+    if (!AppState.map) return;
+
+    await registerPlacemarkIcons(data);
+    if (data !== AppState.data) return;   // replaced while the icons were loading
+    
+    const collection = {
+        type: 'FeatureCollection',
+        features: data.features.filter(feature => 
+            feature.properties.icon && AppState.map.hasImage(feature.properties.icon)
+        )
+    };
+    
+    const source = AppState.map.getSource('placemark-icons');
+    if (source) {
+        source.setData(collection);
+        return;
+    }
+    
+    if (collection.features.length === 0) return;
     
-    // Calculate raw bearing
-    let bearing = turf.bearing(start, end);
+    AppState.map.addSource('placemark-icons', {
+        type: 'geojson',
+        data: collection
+    });
     
-    // Normalize to 0-360 range
-    return (bearing + 360) % 360;
+    AppState.map.addLayer({
+        id: 'placemark-icons',
+        type: 'symbol',
+        source: 'placemark-icons',
+        layout: {
+            'icon-image': ['get', 'icon'],
+            'icon-size': ['coalesce', ['get', 'iconScale'], 1],
+            'icon-allow-overlap': true
+        }
+    });
 }
 
 // Create Route GeoJSON
@@ -440,26 +1383,176 @@ function updateTimeline() {
     // Clear existing timeline
     timelineContent.innerHTML = '';
     
-    // Create a trip group
-    const tripGroup = document.createElement('div');
-    tripGroup.className = 'trip-group';
-    
-    // Add trip header with data information
-    const tripName = AppState.data.properties?.name || 'Imported Track';
-    const pointCount = AppState.data.features.length;
-    const duration = formatTime(AppState.animation.duration);
-    
-    tripGroup.innerHTML = `
-        <div class="trip-header">
-            <h4>${tripName}</h4>
-            <div class="trip-stats">
-                <span>${pointCount} points</span>
-                <span>${duration}</span>
+    // One trip group per track
+    getTracks(AppState.data).forEach(track => {
+        const features = AppState.data.features.filter(feature => feature.properties.trackId === track.id);
+        if (features.length === 0) return;
+        
+        const tripGroup = document.createElement('div');
+        tripGroup.className = 'trip-group';
+        tripGroup.classList.toggle('selected', track.id === AppState.selectedTrackId);
+        tripGroup.style.borderLeftColor = track.color;
+        
+        // Add trip header with track information
+        const pointCount = features.length;
+        const duration = formatTime(features[pointCount - 1].properties.elapsedTime - features[0].properties.elapsedTime);
+        const startTime = formatTimestamp(features[0].properties.timestamp);
+        const endTime = formatTimestamp(features[pointCount - 1].properties.timestamp);
+        
+        tripGroup.innerHTML = `
+            <div class="trip-header">
+                <h4><span class="legend-swatch" style="background: ${track.color}"></span><span class="track-name"></span></h4>
+                <div class="trip-stats">
+                    <span>${pointCount} points</span>
+                    <span>${duration}</span>
+                </div>
+                <div class="trip-controls">
+                    <button class="close-button rename-track" title="Rename track">
+                        <span class="material-icons">edit</span>
+                    </button>
+                    <button class="close-button remove-track" title="Remove track">
+                        <span class="material-icons">delete</span>
+                    </button>
+                </div>
             </div>
+            <div class="trip-details">
+                <div>Start: ${startTime}</div>
+                <div>End: ${endTime}</div>
+            </div>
+        `;
+        
+        // Clicking a trip follows that vehicle
+        tripGroup.querySelector('.trip-header').addEventListener('click', () => {
+            if (track.id === AppState.selectedTrackId) return;
+            selectTrack(track.id);
+            updateTimeline();
+            updateVehiclePosition();
+        });
+        
+        // Names are user-editable, so they go in as text
+        const nameElement = tripGroup.querySelector('.track-name');
+        nameElement.textContent = track.name;
+        
+        tripGroup.querySelector('.rename-track').addEventListener('click', (e) => {
+            e.stopPropagation();
+            startTrackRename(nameElement, track);
+        });
+        
+        tripGroup.querySelector('.remove-track').addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (confirm(`Remove "${track.name}" (${pointCount} points)?`)) {
+                removeLoadedTrack(track.id);
+            }
+        });
+        
+        // Trips, stops and gaps of the track; clicking one seeks playback to its start
+        const entries = getTrackTrips(AppState.data, track.id);
+        if (entries.length > 0) {
+            const list = document.createElement('div');
+            list.className = 'trip-list';
+            entries.forEach(entry => list.appendChild(createTripEntryElement(entry, track)));
+            tripGroup.appendChild(list);
+        }
+        
+        timelineContent.appendChild(tripGroup);
+    });
+}
+
+// Swap the track name for an input; Enter or leaving the field saves, Escape cancels
+function startTrackRename(nameElement, track) {
+    const input = document.createElement('input');
+    input.className = 'track-name-input';
+    input.value = track.name;
+    
+    let done = false;
+    const finish = (save) => {
+        if (done) return;
+        done = true;
+        if (save && input.value.trim() !== track.name) {
+            renameLoadedTrack(track.id, input.value);
+        } else {
+            input.replaceWith(nameElement);
+        }
+    };
+    
+    input.addEventListener('click', e => e.stopPropagation());
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') finish(true);
+        if (e.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(true));
+    
+    nameElement.replaceWith(input);
+    input.focus();
+    input.select();
+}
+
+// Icons for activity types reported by the source (e.g. Google Takeout)
+const ACTIVITY_ICONS = {
+    WALKING: 'directions_walk',
+    ON_FOOT: 'directions_walk',
+    RUNNING: 'directions_run',
+    HIKING: 'hiking',
+    SWIMMING: 'pool',
+    ON_BICYCLE: 'directions_bike',
+    CYCLING: 'directions_bike',
+    IN_BUS: 'directions_bus',
+    IN_TRAIN: 'train',
+    IN_SUBWAY: 'subway',
+    IN_TRAM: 'tram',
+    FLYING: 'flight',
+    IN_FERRY: 'directions_boat',
+    SAILING: 'directions_boat'
+};
+
+function formatActivity(activityType) {
+    const words = activityType.replace(/^IN_/, '').replace(/_/g, ' ').toLowerCase();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function createTripEntryElement(entry, track) {
+    const labels = {
+        trip: {
+            icon: ACTIVITY_ICONS[entry.activityType] || 'directions_car',
+            title: entry.activityType ?
+                `Trip ${entry.number} · ${formatActivity(entry.activityType)}` :
+                `Trip ${entry.number}`
+        },
+        stop: { icon: entry.place ? 'place' : 'local_parking', title: entry.place?.name || 'Stop' },
+        gap: { icon: 'cloud_off', title: 'No data' }
+    };
+    const { icon, title } = labels[entry.type];
+    
+    const stats = [formatTime(entry.duration)];
+    if (entry.type === 'trip') {
+        stats.push(`${(entry.distance / 1000).toFixed(1)} km`);
+    }
+    
+    const item = document.createElement('div');
+    item.className = `trip-entry ${entry.type}`;
+    item.title = entry.place?.address ? `${entry.place.address}\nJump to start` : 'Jump to start';
+    item.innerHTML = `
+        <span class="material-icons">${icon}</span>
+        <div class="trip-entry-info">
+            <div class="trip-entry-title">
+                <span class="trip-entry-name"></span>
+                <span>${stats.join(' · ')}</span>
+            </div>
+            <div class="trip-entry-time">${formatTimestamp(entry.startTime)} – ${formatTimestamp(entry.endTime)}</div>
         </div>
     `;
+    // Place names come from the imported file
+    item.querySelector('.trip-entry-name').textContent = title;
     
-    timelineContent.appendChild(tripGroup);
+    item.addEventListener('click', () => {
+        if (track.id !== AppState.selectedTrackId) {
+            selectTrack(track.id);
+            updateTimeline();
+        }
+        seekToTimestamp(entry.startTime);
+    });
+    
+    return item;
 }
 
 // Update the playback time displays and progress bar
@@ -468,17 +1561,27 @@ function updatePlaybackDisplay() {
     document.getElementById('currentTime').textContent = formatTime(AppState.animation.currentTime);
     document.getElementById('totalTime').textContent = formatTime(AppState.animation.duration);
     
+    // Absolute clock time at the playhead, in the display time zone
+    const clockElement = document.getElementById('currentClockTime');
+    if (clockElement) {
+        const startTimestamp = AppState.data?.features[0]?.properties.timestamp;
+        clockElement.textContent = startTimestamp !== undefined ?
+            formatTimestamp(startTimestamp + AppState.animation.currentTime * 1000) :
+            '';
+    }
+    
     // Update progress bar
-    const percent = (AppState.animation.currentTime / AppState.animation.duration) * 100;
+    const percent = AppState.animation.duration > 0 ?
+        (AppState.animation.currentTime / AppState.animation.duration) * 100 : 0;
     document.getElementById('progressFill').style.width = `${percent}%`;
 }
 
 // Update the vehicle position on the map
 function updateVehiclePosition() {
-    // Find the appropriate feature for the current time
-    if (!AppState.data || AppState.data.features.length === 0) return;
+    // Find the appropriate feature of the selected track for the current time
+    const features = getSelectedTrackFeatures();
+    if (features.length === 0) return;
     
-    const features = AppState.data.features;
     const currentTime = AppState.animation.currentTime;
     
     // Find the feature corresponding to the current time
@@ -507,10 +1610,15 @@ function updateVehiclePosition() {
 // At the end of the file, add exports for functions needed by other modules
 export {
     handleFileImport,
+    importFiles,
     processData,
+    reapplyCleaning,
+    selectTrack,
+    clearData,
     fetchDirectionsRoute,
     createRouteGeoJSON,
     updateTimeline,
     updatePlaybackDisplay,
-    updateVehiclePosition
+    updateVehiclePosition,
+    updatePlacemarkIconsLayer
 };
\ No newline at end of file
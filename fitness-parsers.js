@@ -0,0 +1,365 @@
+// fitness-parsers.js
+// Garmin FIT (binary) and TCX (XML) activity files into timestamped point features that
+// carry the sensor channels (heart rate, cadence, power, temperature, distance)
+
+import { createSkipLog } from './import-validation.js';
+import { fillMissingBearings, getChildText } from './utils.js';
+import { parseTimestamp, getImportTimeOptions } from './timestamps.js';
+
+// FIT timestamps count seconds from 1989-12-31T00:00:00Z
+const FIT_EPOCH = 631065600000;     // ms
+const SEMICIRCLES_TO_DEGREES = 180 / 2 ** 31;
+
+// FIT global message numbers
+const MESG_SESSION = 18;
+const MESG_RECORD = 20;
+const MESG_EVENT = 21;
+
+// Record message field numbers
+const RECORD = {
+    positionLat: 0,
+    positionLong: 1,
+    altitude: 2,
+    heartRate: 3,
+    cadence: 4,
+    distance: 5,
+    speed: 6,
+    power: 7,
+    temperature: 13,
+    enhancedSpeed: 73,
+    enhancedAltitude: 78,
+    timestamp: 253
+};
+
+// FIT base types by number (low 5 bits of the base type byte): size, reader and the
+// value that means "no data". 64-bit integers and strings are skipped.
+const BASE_TYPES = {
+    0x00: { size: 1, read: (view, offset) => view.getUint8(offset), invalid: 0xFF },            // enum
+    0x01: { size: 1, read: (view, offset) => view.getInt8(offset), invalid: 0x7F },             // sint8
+    0x02: { size: 1, read: (view, offset) => view.getUint8(offset), invalid: 0xFF },            // uint8
+    0x03: { size: 2, read: (view, offset, le) => view.getInt16(offset, le), invalid: 0x7FFF },  // sint16
+    0x04: { size: 2, read: (view, offset, le) => view.getUint16(offset, le), invalid: 0xFFFF }, // uint16
+    0x05: { size: 4, read: (view, offset, le) => view.getInt32(offset, le), invalid: 0x7FFFFFFF },
+    0x06: { size: 4, read: (view, offset, le) => view.getUint32(offset, le), invalid: 0xFFFFFFFF },
+    0x08: { size: 4, read: (view, offset, le) => view.getFloat32(offset, le), invalid: NaN },
+    0x09: { size: 8, read: (view, offset, le) => view.getFloat64(offset, le), invalid: NaN },
+    0x0A: { size: 1, read: (view, offset) => view.getUint8(offset), invalid: 0 },               // uint8z
+    0x0B: { size: 2, read: (view, offset, le) => view.getUint16(offset, le), invalid: 0 },      // uint16z
+    0x0C: { size: 4, read: (view, offset, le) => view.getUint32(offset, le), invalid: 0 },      // uint32z
+    0x0D: { size: 1, read: (view, offset) => view.getUint8(offset), invalid: 0xFF }             // byte
+};
+
+// Sport names, mapped onto the activity types the timeline knows
+const FIT_SPORTS = {
+    1: { name: 'Running', activityType: 'RUNNING' },
+    2: { name: 'Cycling', activityType: 'ON_BICYCLE' },
+    5: { name: 'Swimming', activityType: 'SWIMMING' },
+    11: { name: 'Walking', activityType: 'WALKING' },
+    17: { name: 'Hiking', activityType: 'HIKING' }
+};
+
+const TCX_SPORTS = {
+    Running: 'RUNNING',
+    Biking: 'ON_BICYCLE'
+};
+
+// FIT Decoding
+// Calls onMessage(globalMessageNumber, { fieldNumber: value }) for every data message.
+// Invalid values are left out. Chained files (several FIT files back to back) are read
+// in sequence.
+function decodeFIT(buffer, onMessage) {
+    const view = new DataView(buffer);
+    let fileOffset = 0;
+
+    while (fileOffset + 12 <= view.byteLength) {
+        const headerSize = view.getUint8(fileOffset);
+        const dataSize = view.getUint32(fileOffset + 4, true);
+        const signature = String.fromCharCode(
+            ...new Uint8Array(buffer, fileOffset + 8, 4)
+        );
+        if (signature !== '.FIT') {
+            if (fileOffset === 0) throw new Error('Not a FIT file');
+            break;
+        }
+
+        let position = fileOffset + headerSize;
+        const end = Math.min(position + dataSize, view.byteLength);
+        const definitions = new Map();
+        let lastTimestamp = null;
+
+        while (position < end) {
+            const header = view.getUint8(position++);
+            let localType;
+            let timeOffset = null;
+
+            if (header & 0x80) {
+                // Compressed timestamp header: 5-bit offset from the last full timestamp
+                localType = (header >> 5) & 0x03;
+                timeOffset = header & 0x1F;
+            } else if (header & 0x40) {
+                // Definition message
+                localType = header & 0x0F;
+                const littleEndian = view.getUint8(position + 1) === 0;
+                const globalNumber = view.getUint16(position + 2, littleEndian);
+                const fieldCount = view.getUint8(position + 4);
+                position += 5;
+
+                const fields = [];
+                for (let i = 0; i < fieldCount; i++) {
+                    fields.push({
+                        number: view.getUint8(position),
+                        size: view.getUint8(position + 1),
+                        baseType: view.getUint8(position + 2) & 0x1F
+                    });
+                    position += 3;
+                }
+
+                // Developer fields are skipped over
+                let developerSize = 0;
+                if (header & 0x20) {
+                    const developerCount = view.getUint8(position++);
+                    for (let i = 0; i < developerCount; i++) {
+                        developerSize += view.getUint8(position + 1);
+                        position += 3;
+                    }
+                }
+
+                definitions.set(localType, { globalNumber, littleEndian, fields, developerSize });
+                continue;
+            } else {
+                localType = header & 0x0F;
+            }
+
+            const definition = definitions.get(localType);
+            if (!definition) {
+                throw new Error(`FIT data message without a definition at byte ${position - 1}`);
+            }
+
+            const values = {};
+            definition.fields.forEach(field => {
+                const type = BASE_TYPES[field.baseType];
+                // Arrays (size larger than the base type) are not needed and skipped
+                if (type && field.size === type.size && position + field.size <= view.byteLength) {
+                    const value = type.read(view, position, definition.littleEndian);
+                    if (value !== type.invalid && !Number.isNaN(value)) {
+                        values[field.number] = value;
+                    }
+                }
+                position += field.size;
+            });
+            position += definition.developerSize;
+
+            if (values[RECORD.timestamp] !== undefined) {
+                lastTimestamp = values[RECORD.timestamp];
+            } else if (timeOffset !== null && lastTimestamp !== null) {
+                // Arithmetic rather than bitwise, which would treat the uint32 as signed
+                let timestamp = lastTimestamp - (lastTimestamp % 32) + timeOffset;
+                if (timeOffset < lastTimestamp % 32) timestamp += 32;
+                lastTimestamp = timestamp;
+                values[RECORD.timestamp] = timestamp;
+            }
+
+            onMessage(definition.globalNumber, values);
+        }
+
+        // Next chained file starts after this one's 2-byte CRC
+        fileOffset += headerSize + dataSize + 2;
+    }
+}
+
+// Quick content sniff for files with a generic extension; the signature sits at bytes 8-11
+function isFITContent(content) {
+    return /^[\s\S]{0,12}\.FIT/.test(content.slice(0, 16));
+}
+
+function parseFIT(buffer) {
+    const features = [];
+    const skipLog = createSkipLog();
+    let segmentIndex = 0;
+    let timerStopped = false;
+    let recordIndex = 0;
+    let sport = null;
+
+    decodeFIT(buffer, (globalNumber, values) => {
+        if (globalNumber === MESG_RECORD) {
+            recordIndex++;
+            const location = `record ${recordIndex}`;
+
+            if (values[RECORD.positionLat] === undefined || values[RECORD.positionLong] === undefined) {
+                skipLog.add('Record without a position (no GPS fix or indoor)', location);
+                return;
+            }
+            if (values[RECORD.timestamp] === undefined) {
+                skipLog.add('Record without a timestamp', location);
+                return;
+            }
+
+            // Altitude is stored as (m + 500) * 5, speed as mm/s, distance as cm
+            const rawAltitude = values[RECORD.enhancedAltitude] ?? values[RECORD.altitude];
+            const rawSpeed = values[RECORD.enhancedSpeed] ?? values[RECORD.speed];
+            const altitude = rawAltitude !== undefined ? rawAltitude / 5 - 500 : undefined;
+
+            const coordinates = [
+                values[RECORD.positionLong] * SEMICIRCLES_TO_DEGREES,
+                values[RECORD.positionLat] * SEMICIRCLES_TO_DEGREES
+            ];
+            if (altitude !== undefined) coordinates.push(altitude);
+
+            features.push({
+                type: 'Feature',
+                geometry: {
+                    type: 'Point',
+                    coordinates: coordinates
+                },
+                properties: {
+                    timestamp: FIT_EPOCH + values[RECORD.timestamp] * 1000,
+                    bearing: null,
+                    speed: rawSpeed !== undefined ? rawSpeed / 1000 : undefined, // m/s
+                    altitude: altitude,
+                    distance: values[RECORD.distance] !== undefined ? values[RECORD.distance] / 100 : undefined,
+                    heartRate: values[RECORD.heartRate],        // bpm
+                    cadence: values[RECORD.cadence],            // rpm (strides per minute when running)
+                    power: values[RECORD.power],                // W
+                    temperature: values[RECORD.temperature],    // °C
+                    segment: segmentIndex
+                }
+            });
+        } else if (globalNumber === MESG_EVENT && values[0] === 0) {
+            // Timer events: a restart after a stop (auto-pause, manual pause) begins a new segment
+            const eventType = values[1];
+            if (eventType === 1 || eventType === 4) {
+                timerStopped = true;
+            } else if (eventType === 0 && timerStopped) {
+                timerStopped = false;
+                segmentIndex++;
+            }
+        } else if (globalNumber === MESG_SESSION && values[5] !== undefined) {
+            sport = FIT_SPORTS[values[5]] || null;
+        }
+    });
+
+    finishFitnessFeatures(features, sport?.activityType);
+
+    return {
+        type: 'FeatureCollection',
+        features: features,
+        properties: {
+            source: 'fit-import',
+            filename: 'import.fit',
+            name: sport ? `${sport.name} activity` : undefined,
+            sport: sport?.name,
+            segmentCount: segmentIndex + 1,
+            skipped: skipLog.entries(),
+            importedAt: new Date().toISOString()
+        }
+    };
+}
+
+// TCX Parsing
+function parseTCX(content) {
+    const parser = new DOMParser();
+    const tcx = parser.parseFromString(content, 'text/xml');
+
+    if (tcx.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('Invalid TCX file structure');
+    }
+
+    const features = [];
+    const skipLog = createSkipLog();
+    let segmentIndex = 0;
+    let sportName = null;
+
+    // Activities and Courses both hold Tracks; each Track is a segment
+    Array.from(tcx.getElementsByTagNameNS('*', 'Track')).forEach(track => {
+        let activity = track.parentNode;
+        while (activity && activity.localName !== 'Activity') activity = activity.parentNode;
+        if (!sportName && activity) sportName = activity.getAttribute('Sport');
+
+        const segmentFeatures = [];
+        Array.from(track.getElementsByTagNameNS('*', 'Trackpoint')).forEach((point, i) => {
+            const location = `track ${segmentIndex + 1} point ${i + 1}`;
+            const latitude = parseFloat(getChildText(point, 'LatitudeDegrees'));
+            const longitude = parseFloat(getChildText(point, 'LongitudeDegrees'));
+            if (isNaN(latitude) || isNaN(longitude)) {
+                skipLog.add('Trackpoint without a position', location);
+                return;
+            }
+            const timestamp = parseTimestamp(getChildText(point, 'Time'), getImportTimeOptions());
+            if (isNaN(timestamp)) {
+                skipLog.add('Trackpoint without a valid <Time>', location);
+                return;
+            }
+
+            const number = name => {
+                const value = parseFloat(getChildText(point, name));
+                return isNaN(value) ? undefined : value;
+            };
+            const altitude = number('AltitudeMeters');
+
+            // Heart rate sits in <HeartRateBpm><Value>; speed, power and run cadence in the
+            // ActivityExtension <TPX> block
+            const heartRateElement = point.getElementsByTagNameNS('*', 'HeartRateBpm')[0];
+            const heartRate = heartRateElement ? parseFloat(getChildText(heartRateElement, 'Value')) : NaN;
+
+            const coordinates = [longitude, latitude];
+            if (altitude !== undefined) coordinates.push(altitude);
+
+            segmentFeatures.push({
+                type: 'Feature',
+                geometry: {
+                    type: 'Point',
+                    coordinates: coordinates
+                },
+                properties: {
+                    timestamp: timestamp,
+                    bearing: null,
+                    speed: number('Speed'),     // m/s
+                    altitude: altitude,
+                    distance: number('DistanceMeters'),
+                    heartRate: isNaN(heartRate) ? undefined : heartRate,
+                    cadence: number('Cadence') ?? number('RunCadence'),
+                    power: number('Watts'),
+                    segment: segmentIndex
+                }
+            });
+        });
+
+        features.push(...segmentFeatures);
+        segmentIndex++;
+    });
+
+    finishFitnessFeatures(features, TCX_SPORTS[sportName]);
+
+    return {
+        type: 'FeatureCollection',
+        features: features,
+        properties: {
+            source: 'tcx-import',
+            filename: 'import.tcx',
+            name: sportName && sportName !== 'Other' ? `${sportName} activity` : undefined,
+            sport: sportName || undefined,
+            segmentCount: segmentIndex,
+            skipped: skipLog.entries(),
+            importedAt: new Date().toISOString()
+        }
+    };
+}
+
+// Shared finishing: bearings from the direction of travel within each segment, and the
+// file's sport as the activity type of every point
+function finishFitnessFeatures(features, activityType) {
+    const segments = new Map();
+    features.forEach(feature => {
+        if (activityType) feature.properties.activityType = activityType;
+        const segment = feature.properties.segment;
+        if (!segments.has(segment)) segments.set(segment, []);
+        segments.get(segment).push(feature);
+    });
+    segments.forEach(segmentFeatures => fillMissingBearings(segmentFeatures));
+}
+
+export {
+    isFITContent,
+    parseFIT,
+    parseTCX
+};
@@ -0,0 +1,317 @@
+// import-validation.js
+// Post-import checks (skipped rows, out-of-order rows, duplicates, (0,0) points, impossible
+// jumps, time gaps), the report dialog, its CSV export and the issue markers on the map
+
+import { formatTime, downloadFile, STEP_SIZE, runSteps } from './utils.js';
+import { formatTimestamp } from './timestamps.js';
+
+// Thresholds
+const MAX_PLAUSIBLE_SPEED = 85;     // m/s (~300 km/h); faster implied movement is a jump
+const MIN_REPORTED_GAP = 5 * 60;    // s
+const NULL_ISLAND_EPSILON = 1e-6;   // degrees
+
+// Report size limits
+const MAX_SKIP_EXAMPLES = 20;       // locations kept per skip reason
+const MAX_LISTED_ISSUES = 200;      // items kept per check
+
+// Skip Log
+// Parsers record what they dropped and why; entries end up in data.properties.skipped
+function createSkipLog() {
+    const reasons = new Map();
+
+    const getEntry = (reason) => {
+        if (!reasons.has(reason)) {
+            reasons.set(reason, { reason, count: 0, examples: [] });
+        }
+        return reasons.get(reason);
+    };
+
+    return {
+        add(reason, location) {
+            const entry = getEntry(reason);
+            entry.count++;
+            if (location !== undefined && entry.examples.length < MAX_SKIP_EXAMPLES) {
+                entry.examples.push(location);
+            }
+        },
+        addCount(reason, count) {
+            if (count > 0) getEntry(reason).count += count;
+        },
+        entries() {
+            return Array.from(reasons.values());
+        }
+    };
+}
+
+// Rows whose timestamp is earlier than the previous row of the same device, in file order.
+// Must run before processData sorts the features.
+function countOutOfOrder(features) {
+    const lastTimestamps = new Map();
+    let count = 0;
+
+    features.forEach(feature => {
+        const key = feature.properties.deviceId ?? '';
+        const last = lastTimestamps.get(key);
+        if (last !== undefined && feature.properties.timestamp < last) count++;
+        lastTimestamps.set(key, feature.properties.timestamp);
+    });
+
+    return count;
+}
+
+// Checks
+function createIssue(feature, message) {
+    return {
+        message,
+        timestamp: feature.properties.timestamp,
+        coordinates: feature.geometry.coordinates.slice(0, 2),
+        trackId: feature.properties.trackId
+    };
+}
+
+function isNullIsland([lng, lat]) {
+    return Math.abs(lng) < NULL_ISLAND_EPSILON && Math.abs(lat) < NULL_ISLAND_EPSILON;
+}
+
+// Runs on imported points once sorted and grouped into tracks, before cleaning
+function validateImport(data, options) {
+    return runSteps(validateImportSteps(data, options));
+}
+
+// validateImport in slices, for runStepsAsync
+function* validateImportSteps(data, { filename, outOfOrder = 0 } = {}) {
+    const checks = {
+        duplicates: { label: 'Duplicate timestamps', count: 0, items: [] },
+        nullIsland: { label: '(0, 0) coordinates', count: 0, items: [] },
+        jumps: { label: 'Impossible jumps', count: 0, items: [] },
+        gaps: { label: 'Time gaps', count: 0, items: [] }
+    };
+    const record = (check, issue) => {
+        check.count++;
+        if (check.items.length < MAX_LISTED_ISSUES) check.items.push(issue);
+    };
+
+    const previousByTrack = new Map();
+
+    const features = data.features;
+    for (let i = 0; i < features.length; i++) {
+        if (i % STEP_SIZE === 0) yield { label: 'Checking points', done: i, total: features.length };
+
+        const feature = features[i];
+        const coordinates = feature.geometry.coordinates;
+
+        // (0, 0) is a receiver default, not a position; keep it out of the jump check
+        if (isNullIsland(coordinates)) {
+            record(checks.nullIsland, createIssue(feature, 'Point at (0, 0)'));
+            continue;
+        }
+
+        const trackId = feature.properties.trackId;
+        const previous = previousByTrack.get(trackId);
+        previousByTrack.set(trackId, feature);
+        if (!previous) continue;
+
+        const seconds = (feature.properties.timestamp - previous.properties.timestamp) / 1000;
+        const meters = turf.distance(
+            turf.point(previous.geometry.coordinates),
+            turf.point(coordinates),
+            { units: 'meters' }
+        );
+
+        if (seconds === 0) {
+            record(checks.duplicates, createIssue(feature, 'Same timestamp as the previous point'));
+            continue;
+        }
+
+        if (seconds > MIN_REPORTED_GAP) {
+            record(checks.gaps, createIssue(previous, `No data for ${formatTime(seconds)}`));
+        }
+
+        const speed = meters / seconds;
+        if (speed > MAX_PLAUSIBLE_SPEED) {
+            record(checks.jumps, createIssue(feature,
+                `${(meters / 1000).toFixed(2)} km in ${seconds.toFixed(1)} s (${(speed * 3.6).toFixed(0)} km/h)`));
+        }
+    }
+
+    const skipped = data.properties?.skipped || [];
+    const skippedCount = skipped.reduce((sum, entry) => sum + entry.count, 0);
+    const issueCount = skippedCount + outOfOrder +
+        Object.values(checks).reduce((sum, check) => sum + check.count, 0);
+
+    return {
+        filename: filename || data.properties?.filename,
+        pointCount: data.features.length,
+        trackCount: data.properties?.tracks?.length || 1,
+        skipped,
+        skippedCount,
+        outOfOrder,
+        checks,
+        issueCount
+    };
+}
+
+// Report Dialog
+// onSelect(issue) is called when the user picks an issue to look at
+function showImportReport(report, { onSelect } = {}) {
+    const modal = document.getElementById('importReportModal');
+    const body = document.getElementById('importReportBody');
+    body.innerHTML = '';
+
+    const summary = document.createElement('p');
+    summary.textContent = `${report.filename || 'Import'}: ${report.pointCount.toLocaleString()} points loaded, ` +
+        `${report.issueCount.toLocaleString()} issue(s) found.`;
+    body.appendChild(summary);
+
+    // Rows that never made it into the data
+    if (report.skippedCount > 0) {
+        const section = createReportSection(`Skipped (${report.skippedCount.toLocaleString()})`);
+        report.skipped.forEach(entry => {
+            const item = document.createElement('li');
+            item.textContent = `${entry.reason}: ${entry.count.toLocaleString()}` +
+                (entry.examples.length > 0 ? ` (${entry.examples.join(', ')}${entry.count > entry.examples.length ? ', …' : ''})` : '');
+            section.list.appendChild(item);
+        });
+        body.appendChild(section.element);
+    }
+
+    if (report.outOfOrder > 0) {
+        const section = createReportSection(`Out of order (${report.outOfOrder.toLocaleString()})`);
+        const item = document.createElement('li');
+        item.textContent = `${report.outOfOrder.toLocaleString()} row(s) were earlier than the row before them and have been sorted by time`;
+        section.list.appendChild(item);
+        body.appendChild(section.element);
+    }
+
+    // Problems with points that were loaded; each can be located on the map
+    Object.values(report.checks).forEach(check => {
+        if (check.count === 0) return;
+
+        const section = createReportSection(`${check.label} (${check.count.toLocaleString()})`);
+        check.items.forEach(issue => {
+            const item = document.createElement('li');
+            item.className = 'report-issue';
+            item.textContent = `${formatTimestamp(issue.timestamp)}: ${issue.message}`;
+            item.title = 'Show on map';
+            item.addEventListener('click', () => {
+                modal.style.display = 'none';
+                if (onSelect) onSelect(issue);
+            });
+            section.list.appendChild(item);
+        });
+        if (check.count > check.items.length) {
+            const more = document.createElement('li');
+            more.textContent = `… and ${(check.count - check.items.length).toLocaleString()} more`;
+            section.list.appendChild(more);
+        }
+        body.appendChild(section.element);
+    });
+
+    document.getElementById('importReportExportButton').onclick = () => {
+        const baseName = (report.filename || 'import').replace(/\.[^.]+$/, '');
+        downloadFile(reportToCSV(report), `${baseName}-import-report.csv`, 'text/csv');
+    };
+    document.getElementById('importReportCloseButton').onclick = () => {
+        modal.style.display = 'none';
+    };
+    document.getElementById('closeImportReportModal').onclick = () => {
+        modal.style.display = 'none';
+    };
+
+    modal.style.display = 'flex';
+}
+
+function createReportSection(title) {
+    const element = document.createElement('div');
+    element.className = 'report-section';
+
+    const heading = document.createElement('h4');
+    heading.textContent = title;
+
+    const list = document.createElement('ul');
+
+    element.appendChild(heading);
+    element.appendChild(list);
+    return { element, list };
+}
+
+// Export
+function reportToCSV(report) {
+    const escape = value => {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = [['category', 'detail', 'count', 'time', 'longitude', 'latitude', 'track']];
+
+    report.skipped.forEach(entry => {
+        rows.push(['Skipped', `${entry.reason}${entry.examples.length ? ` (${entry.examples.join('; ')})` : ''}`,
+            entry.count, '', '', '', '']);
+    });
+    if (report.outOfOrder > 0) {
+        rows.push(['Out of order', 'Rows earlier than the row before them', report.outOfOrder, '', '', '', '']);
+    }
+    Object.values(report.checks).forEach(check => {
+        check.items.forEach(issue => {
+            rows.push([check.label, issue.message, 1, new Date(issue.timestamp).toISOString(),
+                issue.coordinates[0], issue.coordinates[1], issue.trackId]);
+        });
+    });
+
+    return rows.map(row => row.map(escape).join(',')).join('\n');
+}
+
+// Map Markers
+// Red rings on every listed issue point, so they stay findable after the dialog closes
+function updateIssuesLayer(report) {
+    if (!AppState.map) return;
+
+    const collection = {
+        type: 'FeatureCollection',
+        features: Object.entries(report.checks).flatMap(([type, check]) =>
+            check.items.map(issue => ({
+                type: 'Feature',
+                geometry: {
+                    type: 'Point',
+                    coordinates: issue.coordinates
+                },
+                properties: {
+                    type: type,
+                    message: issue.message
+                }
+            }))
+        )
+    };
+
+    const source = AppState.map.getSource('import-issues');
+    if (source) {
+        source.setData(collection);
+        return;
+    }
+
+    AppState.map.addSource('import-issues', {
+        type: 'geojson',
+        data: collection
+    });
+
+    AppState.map.addLayer({
+        id: 'import-issues',
+        type: 'circle',
+        source: 'import-issues',
+        paint: {
+            'circle-radius': 7,
+            'circle-color': 'rgba(0, 0, 0, 0)',
+            'circle-stroke-width': 2,
+            'circle-stroke-color': '#ef4444'
+        }
+    });
+}
+
+export {
+    createSkipLog,
+    countOutOfOrder,
+    validateImport,
+    validateImportSteps,
+    showImportReport,
+    updateIssuesLayer
+};
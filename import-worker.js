@@ -0,0 +1,282 @@
+// import-worker.js
+// Module worker that streams large CSV files into typed-array columns off the main thread,
+// sorted by time
+
+import { parseTimestamp } from './timestamps.js';
+import { getColumnUnitFactor } from './csv-mapping.js';
+
+// Progress reporting interval and starting column capacity (rows)
+const PROGRESS_INTERVAL = 200;   // ms
+const INITIAL_CAPACITY = 1 << 16;
+
+// Growable Typed Array Column
+function createColumn(ArrayType, fill) {
+    let array = new ArrayType(INITIAL_CAPACITY);
+    if (fill !== undefined) array.fill(fill);
+    let length = 0;
+
+    return {
+        push(value) {
+            if (length === array.length) {
+                const grown = new ArrayType(array.length * 2);
+                if (fill !== undefined) grown.fill(fill, array.length);
+                grown.set(array);
+                array = grown;
+            }
+            array[length++] = value;
+        },
+        // Trimmed copy whose buffer can be transferred to the main thread
+        toArray() {
+            return array.slice(0, length);
+        }
+    };
+}
+
+// Sorting
+// Rows are put in time order here rather than on the main thread. The sort is stable, so
+// rows with equal timestamps keep their file order, as Array.prototype.sort does.
+function sortColumns(arrays, count) {
+    const timestamps = arrays.timestamp;
+    let sorted = true;
+    for (let i = 1; i < count && sorted; i++) {
+        sorted = timestamps[i - 1] <= timestamps[i];
+    }
+    if (sorted) return arrays;
+
+    const order = new Uint32Array(count);
+    for (let i = 0; i < count; i++) order[i] = i;
+    order.sort((a, b) => timestamps[a] - timestamps[b] || a - b);
+
+    return Object.fromEntries(Object.entries(arrays).map(([name, array]) => {
+        const reordered = new array.constructor(count);
+        for (let i = 0; i < count; i++) reordered[i] = array[order[i]];
+        return [name, reordered];
+    }));
+}
+
+// CSV Tokenizer
+// Lines without quotes take a fast split path; quoted lines go through a character scan.
+// A quoted field may span lines, so an unterminated line is carried into the next one.
+function createCSVTokenizer(delimiter, onRow) {
+    let pending = '';
+    let carry = null;
+
+    const parseQuotedLine = (line) => {
+        const fields = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const ch = line[i];
+            if (inQuotes) {
+                if (ch === '"') {
+                    if (line[i + 1] === '"') {
+                        field += '"';
+                        i++;
+                    } else {
+                        inQuotes = false;
+                    }
+                } else {
+                    field += ch;
+                }
+            } else if (ch === '"') {
+                inQuotes = true;
+            } else if (line.startsWith(delimiter, i)) {
+                fields.push(field);
+                field = '';
+                i += delimiter.length - 1;
+            } else {
+                field += ch;
+            }
+        }
+
+        if (inQuotes) return null;
+        fields.push(field);
+        return fields;
+    };
+
+    const handleLine = (line, isLast) => {
+        if (carry !== null) {
+            line = `${carry}\n${line}`;
+            carry = null;
+        }
+        if (line.indexOf('"') === -1) {
+            if (line !== '') onRow(line.split(delimiter));
+            return;
+        }
+        const fields = parseQuotedLine(line);
+        if (fields === null && !isLast) {
+            carry = line;
+            return;
+        }
+        onRow(fields || line.split(delimiter));
+    };
+
+    return {
+        push(text) {
+            pending += text;
+            let start = 0;
+            let newline;
+            while ((newline = pending.indexOf('\n', start)) !== -1) {
+                let line = pending.slice(start, newline);
+                if (line.endsWith('\r')) line = line.slice(0, -1);
+                handleLine(line, false);
+                start = newline + 1;
+            }
+            pending = pending.slice(start);
+        },
+        finish() {
+            if (pending !== '' || carry !== null) {
+                handleLine(pending.replace(/\r$/, ''), true);
+            }
+            pending = '';
+        }
+    };
+}
+
+// Streaming Import
+async function streamCSV({ file, mapping, delimiter, timeOptions }) {
+    const columns = {
+        longitude: createColumn(Float64Array),
+        latitude: createColumn(Float64Array),
+        timestamp: createColumn(Float64Array),
+        bearing: createColumn(Float32Array),
+        speed: createColumn(Float32Array, NaN),
+        altitude: createColumn(Float32Array, NaN),
+        accuracy: createColumn(Float32Array, NaN),
+        segment: createColumn(Float32Array, NaN),
+        deviceIndex: createColumn(Int32Array, -1)
+    };
+    const deviceIds = [];
+    const deviceIndexById = new Map();
+    const skipped = { invalidCoordinates: 0, invalidTimestamp: 0 };
+
+    // Rows earlier than the previous row of the same device, counted in file order as
+    // countOutOfOrder does, since the order is lost once the columns are sorted
+    const lastTimestamps = new Map();
+    let outOfOrder = 0;
+
+    // Speed, altitude and accuracy are converted from the units their headers name
+    const unitFactors = {
+        speed: getColumnUnitFactor('speed', mapping.speed),
+        altitude: getColumnUnitFactor('altitude', mapping.altitude),
+        accuracy: getColumnUnitFactor('accuracy', mapping.accuracy)
+    };
+    const readNumber = (fields, index, factor) => index !== -1 ? parseFloat(fields[index]) * factor : NaN;
+
+    let count = 0;
+    let indices = null;
+
+    const onRow = (fields) => {
+        // First row holds the headers
+        if (indices === null) {
+            const headers = fields.map((header, i) => i === 0 ? header.replace(/^\uFEFF/, '') : header);
+            const indexOf = name => name ? headers.indexOf(name) : -1;
+            indices = {
+                latitude: indexOf(mapping.latitude),
+                longitude: indexOf(mapping.longitude),
+                time: indexOf(mapping.time),
+                date: indexOf(mapping.date),
+                speed: indexOf(mapping.speed),
+                heading: indexOf(mapping.heading),
+                id: indexOf(mapping.id),
+                altitude: indexOf(mapping.altitude),
+                accuracy: indexOf(mapping.accuracy),
+                segment: indexOf(mapping.segment)
+            };
+            if (indices.latitude === -1 || indices.longitude === -1 || indices.time === -1) {
+                throw new Error('Mapped columns not found in file header');
+            }
+            return;
+        }
+
+        const latitude = parseFloat(fields[indices.latitude]);
+        const longitude = parseFloat(fields[indices.longitude]);
+        if (isNaN(latitude) || isNaN(longitude)) {
+            skipped.invalidCoordinates++;
+            return;
+        }
+
+        // Split date and time-of-day columns are joined before parsing
+        const timeValue = indices.date !== -1 ?
+            `${fields[indices.date] ?? ''} ${fields[indices.time] ?? ''}`.trim() :
+            fields[indices.time];
+        const timestamp = parseTimestamp(timeValue, timeOptions);
+        if (isNaN(timestamp)) {
+            skipped.invalidTimestamp++;
+            return;
+        }
+
+        columns.latitude.push(latitude);
+        columns.longitude.push(longitude);
+        columns.timestamp.push(timestamp);
+        columns.bearing.push(indices.heading !== -1 ? (parseFloat(fields[indices.heading]) || 0) : 0);
+        columns.speed.push(readNumber(fields, indices.speed, unitFactors.speed));
+        columns.altitude.push(readNumber(fields, indices.altitude, unitFactors.altitude));
+        columns.accuracy.push(readNumber(fields, indices.accuracy, unitFactors.accuracy));
+        columns.segment.push(readNumber(fields, indices.segment, 1));
+
+        let deviceIndex = -1;
+        if (indices.id !== -1) {
+            const deviceId = (fields[indices.id] ?? '').trim();
+            if (deviceId !== '' && !deviceIndexById.has(deviceId)) {
+                deviceIndexById.set(deviceId, deviceIds.length);
+                deviceIds.push(deviceId);
+            }
+            if (deviceId !== '') deviceIndex = deviceIndexById.get(deviceId);
+        }
+        columns.deviceIndex.push(deviceIndex);
+
+        const last = lastTimestamps.get(deviceIndex);
+        if (last !== undefined && timestamp < last) outOfOrder++;
+        lastTimestamps.set(deviceIndex, timestamp);
+
+        count++;
+    };
+
+    const tokenizer = createCSVTokenizer(delimiter || ',', onRow);
+    const decoder = new TextDecoder();
+    const reader = file.stream().getReader();
+
+    let loaded = 0;
+    let lastProgress = 0;
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        loaded += value.byteLength;
+        tokenizer.push(decoder.decode(value, { stream: true }));
+
+        const now = performance.now();
+        if (now - lastProgress > PROGRESS_INTERVAL) {
+            lastProgress = now;
+            self.postMessage({ type: 'progress', loaded, total: file.size, rows: count });
+        }
+    }
+    tokenizer.push(decoder.decode());
+    tokenizer.finish();
+
+    const arrays = sortColumns(Object.fromEntries(
+        Object.entries(columns).map(([name, column]) => [name, column.toArray()])
+    ), count);
+
+    self.postMessage({
+        type: 'complete',
+        count,
+        columns: arrays,
+        deviceIds,
+        skipped,
+        outOfOrder
+    }, Object.values(arrays).map(array => array.buffer));
+}
+
+// Handle messages from main thread
+self.onmessage = async function(e) {
+    try {
+        await streamCSV(e.data);
+    } catch (error) {
+        console.error('Error streaming import:', error);
+        self.postMessage({ type: 'error', error: error.message });
+    }
+};
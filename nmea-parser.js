@@ -0,0 +1,210 @@
+// nmea-parser.js
+// NMEA 0183 log parsing (RMC + GGA sentences) into timestamped point features
+
+import { createSkipLog } from './import-validation.js';
+
+// Conversion and quality constants
+const KNOTS_TO_MS = 0.514444;
+const NOMINAL_UERE = 5.0;     // meters; typical user equivalent range error for consumer GPS
+
+// Any GNSS talker (GP, GN, GL, GA, GB, BD) sending RMC or GGA
+const SENTENCE_PATTERN = /^\$(G[PNLAB]|BD)(RMC|GGA),/;
+
+// Quick content sniff for files with a generic extension such as .txt
+function isNMEAContent(content) {
+    return content.split(/\r?\n/, 50).some(line => SENTENCE_PATTERN.test(extractSentence(line) || ''));
+}
+
+// Loggers often prefix each line with their own timestamp; keep from the '$' onwards
+function extractSentence(line) {
+    const start = line.indexOf('$');
+    return start === -1 ? null : line.slice(start).trim();
+}
+
+// XOR of every character between '$' and '*'. Sentences without a checksum are accepted.
+function hasValidChecksum(sentence) {
+    const star = sentence.indexOf('*');
+    if (star === -1) return true;
+
+    const expected = parseInt(sentence.slice(star + 1, star + 3), 16);
+    let checksum = 0;
+    for (let i = 1; i < star; i++) {
+        checksum ^= sentence.charCodeAt(i);
+    }
+    return checksum === expected;
+}
+
+// ddmm.mmmm / dddmm.mmmm plus hemisphere into signed decimal degrees
+function parseCoordinate(value, hemisphere, degreeDigits) {
+    if (!value) return NaN;
+    const degrees = parseInt(value.slice(0, degreeDigits), 10);
+    const minutes = parseFloat(value.slice(degreeDigits));
+    const decimal = degrees + minutes / 60;
+    return (hemisphere === 'S' || hemisphere === 'W') ? -decimal : decimal;
+}
+
+// hhmmss(.sss) into milliseconds since midnight UTC
+function parseTimeOfDay(value) {
+    if (!value || value.length < 6) return NaN;
+    const hours = parseInt(value.slice(0, 2), 10);
+    const minutes = parseInt(value.slice(2, 4), 10);
+    const seconds = parseFloat(value.slice(4));
+    return ((hours * 60 + minutes) * 60 + seconds) * 1000;
+}
+
+// ddmmyy into milliseconds at midnight UTC
+function parseDate(value) {
+    if (!value || value.length !== 6) return NaN;
+    const day = parseInt(value.slice(0, 2), 10);
+    const month = parseInt(value.slice(2, 4), 10);
+    const year = parseInt(value.slice(4, 6), 10);
+    return Date.UTC(year < 80 ? 2000 + year : 1900 + year, month - 1, day);
+}
+
+function parseFloatOrUndefined(value) {
+    const number = parseFloat(value);
+    return isNaN(number) ? undefined : number;
+}
+
+// $--RMC,time,status,lat,N/S,lon,E/W,speed(kn),course,date,...
+function parseRMC(fields) {
+    if (fields[2] !== 'A') return null; // V = receiver warning / no fix
+
+    const speed = parseFloatOrUndefined(fields[7]);
+    const date = parseDate(fields[9]);
+    return {
+        timeOfDay: parseTimeOfDay(fields[1]),
+        date: isNaN(date) ? undefined : date,
+        lat: parseCoordinate(fields[3], fields[4], 2),
+        lng: parseCoordinate(fields[5], fields[6], 3),
+        speed: speed !== undefined ? speed * KNOTS_TO_MS : undefined,
+        course: parseFloatOrUndefined(fields[8])
+    };
+}
+
+// $--GGA,time,lat,N/S,lon,E/W,quality,satellites,hdop,altitude,M,...
+function parseGGA(fields) {
+    const fixQuality = parseInt(fields[6], 10);
+    if (!fixQuality) return null; // 0 = invalid fix
+
+    return {
+        timeOfDay: parseTimeOfDay(fields[1]),
+        lat: parseCoordinate(fields[2], fields[3], 2),
+        lng: parseCoordinate(fields[4], fields[5], 3),
+        fixQuality: fixQuality,
+        satellites: parseInt(fields[7], 10) || undefined,
+        hdop: parseFloatOrUndefined(fields[8]),
+        altitude: parseFloatOrUndefined(fields[9])
+    };
+}
+
+async function parseNMEA(content) {
+    const stats = {
+        sentences: 0,
+        checksumErrors: 0,
+        invalidFixes: 0
+    };
+
+    // Sentences from the same fix share a time of day; merge RMC and GGA into one epoch
+    const epochs = [];
+    let currentEpoch = null;
+
+    content.split(/\r?\n/).forEach(line => {
+        const sentence = extractSentence(line);
+        if (!sentence) return;
+
+        const match = sentence.match(SENTENCE_PATTERN);
+        if (!match) return;
+
+        stats.sentences++;
+        if (!hasValidChecksum(sentence)) {
+            stats.checksumErrors++;
+            return;
+        }
+
+        const fields = sentence.split('*')[0].split(',');
+        const record = match[2] === 'RMC' ? parseRMC(fields) : parseGGA(fields);
+        if (!record || isNaN(record.timeOfDay) || isNaN(record.lat) || isNaN(record.lng)) {
+            stats.invalidFixes++;
+            return;
+        }
+
+        if (!currentEpoch || currentEpoch.timeOfDay !== record.timeOfDay) {
+            currentEpoch = { timeOfDay: record.timeOfDay };
+            epochs.push(currentEpoch);
+        }
+
+        // Both sentences report the same fix. Keep the GGA position when there is one
+        // (often more decimals); RMC fills in date, speed and course.
+        Object.entries(record).forEach(([key, value]) => {
+            if (value === undefined) return;
+            if ((key === 'lat' || key === 'lng') && match[2] === 'RMC' && key in currentEpoch) return;
+            currentEpoch[key] = value;
+        });
+    });
+
+    // GGA carries no date: carry the RMC date forward (and back to any leading GGA-only
+    // epochs), rolling over to the next day when the time of day wraps past midnight
+    const firstDate = epochs.find(epoch => epoch.date !== undefined)?.date;
+    if (firstDate === undefined) {
+        throw new Error('NMEA log contains no dated ($--RMC) fixes');
+    }
+
+    let currentDate = firstDate;
+    let previousTimeOfDay = null;
+    let lastCourse = null;
+
+    const features = epochs.map(epoch => {
+        if (epoch.date !== undefined) {
+            currentDate = epoch.date;
+        } else if (previousTimeOfDay !== null && epoch.timeOfDay < previousTimeOfDay) {
+            currentDate += 24 * 60 * 60 * 1000;
+        }
+        previousTimeOfDay = epoch.timeOfDay;
+
+        // Course over ground is blank while stationary; hold the last heading
+        if (epoch.course !== undefined) {
+            lastCourse = epoch.course;
+        }
+
+        return {
+            type: 'Feature',
+            geometry: {
+                type: 'Point',
+                coordinates: [epoch.lng, epoch.lat]
+            },
+            properties: {
+                timestamp: currentDate + epoch.timeOfDay,
+                bearing: lastCourse ?? 0,
+                speed: epoch.speed,                 // m/s
+                altitude: epoch.altitude,
+                accuracy: epoch.hdop !== undefined ? epoch.hdop * NOMINAL_UERE : undefined,
+                hdop: epoch.hdop,
+                fixQuality: epoch.fixQuality,
+                satellites: epoch.satellites
+            }
+        };
+    });
+
+    const skipLog = createSkipLog();
+    skipLog.addCount('Sentence with bad checksum', stats.checksumErrors);
+    skipLog.addCount('Sentence without a valid fix', stats.invalidFixes);
+
+    return {
+        type: 'FeatureCollection',
+        features: features,
+        properties: {
+            source: 'nmea-import',
+            filename: 'import.nmea',
+            importedAt: new Date().toISOString(),
+            nmeaStats: stats,
+            skipped: skipLog.entries()
+        }
+    };
+}
+
+export {
+    NOMINAL_UERE,
+    parseNMEA,
+    isNMEAContent
+};
@@ -209,6 +209,23 @@ const Physics = {
     }
 };
 
+// Interpolate between a track point and the next one at factor t (stateless, so it can
+// be applied to any number of vehicles per frame)
+function interpolatePosition(request) {
+    const sourcePos = { lng: request.lng, lat: request.lat };
+    const targetPos = { lng: request.targetLng, lat: request.targetLat };
+    
+    // Use spherical interpolation for smoother movement
+    const position = Physics.slerpPosition(sourcePos, targetPos, request.t);
+    
+    // Interpolate bearing along the shorter arc
+    const sourceBearing = request.bearing || 0;
+    const targetBearing = request.targetBearing || sourceBearing;
+    const bearing = Physics.smoothBearing(sourceBearing, targetBearing, request.t);
+    
+    return { position, bearing };
+}
+
 // Process new position data
 function processPosition(newPosition, timestamp) {
     if (DEBUG) {
@@ -340,7 +357,29 @@ function processPosition(newPosition, timestamp) {
 
 // Handle messages from main thread
 self.onmessage = function(e) {
-    const { position, timestamp } = e.data;
+    const { position, positions, timestamp, requestId } = e.data;
+    
+    // Batch of vehicles sharing one playback clock
+    if (Array.isArray(positions)) {
+        try {
+            const vehicles = positions.map(request => {
+                const { position: interpolated, bearing } = interpolatePosition(request);
+                return {
+                    trackId: request.trackId,
+                    color: request.color,
+                    active: request.active,
+                    position: interpolated,
+                    bearing: bearing,
+                    speed: request.speed
+                };
+            });
+            self.postMessage({ vehicles, timestamp, requestId });
+        } catch (error) {
+            console.error('Error processing positions:', error);
+            self.postMessage({ error: error.message, requestId });
+        }
+        return;
+    }
     
     if (!position) {
         self.postMessage({ error: 'Invalid position data' });
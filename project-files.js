@@ -0,0 +1,214 @@
+// project-files.js
+// Versioned project files: the whole session (loaded tracks, import and cleaning settings,
+// route plan, map style and layer visibility, camera and playback position) saved to a
+// JSON file and reopened from one, with migration of files written by older versions
+
+import { showNotification, downloadFile } from './utils.js';
+import { processData, selectTrack, clearData } from './data-processing.js';
+import { restoreOriginalPoints } from './track-cleaning.js';
+import { getTracks } from './tracks.js';
+import { updateWaypointsLayer, updateRouteSegmentsLayer } from './route-planning.js';
+import { getLayerSettings, applyLayerSettings } from './route-completion.js';
+import { changeMapStyle, setPlaybackSpeed } from './app-state.js';
+
+const PROJECT_FORMAT = 'vehicle-tracking-project';
+const PROJECT_VERSION = 1;
+const PROJECT_EXTENSION = 'vtproject';
+
+// Migrations
+// MIGRATIONS[n] turns a version n project into a version n + 1 one. Whenever the format
+// changes, bump PROJECT_VERSION and add the step here; files from any older version then
+// open by running the steps in order.
+const MIGRATIONS = {};
+
+function migrateProject(json) {
+    if (json?.format !== PROJECT_FORMAT || !Number.isInteger(json.version)) {
+        throw new Error('Not a project file');
+    }
+    if (json.version > PROJECT_VERSION) {
+        throw new Error(`The project was saved by a newer version of the app (format ${json.version})`);
+    }
+
+    let project = json;
+    while (project.version < PROJECT_VERSION) {
+        const migrate = MIGRATIONS[project.version];
+        if (!migrate) throw new Error(`Project format ${project.version} is no longer supported`);
+        project = { ...migrate(project), version: project.version + 1 };
+    }
+    return project;
+}
+
+// Dates in the route plan are stored as epoch milliseconds
+function toTime(date) {
+    return date ? date.getTime() : null;
+}
+
+function toDate(time) {
+    return time === null || time === undefined ? null : new Date(time);
+}
+
+// Saving
+// Tracks are stored as their original points; cleaning is re-applied from the saved
+// settings when the project opens. Without includeData the tracks are left out (data is
+// null), for callers that store them separately.
+function createProject({ includeData = true } = {}) {
+    const map = AppState.map;
+
+    let data = null;
+    if (includeData && AppState.data.features.length > 0) {
+        data = restoreOriginalPoints(structuredClone(AppState.data));
+        data.features.forEach(feature => delete feature.properties.elapsedTime);
+        delete data.properties.trips;
+    }
+
+    return {
+        format: PROJECT_FORMAT,
+        version: PROJECT_VERSION,
+        savedAt: new Date().toISOString(),
+        data: data,
+        importSettings: { ...AppState.importSettings },
+        cleaning: { ...AppState.cleaning },
+        display: {
+            useUTC: AppState.filters.useUTC,
+            displayTimeZone: AppState.filters.displayTimeZone
+        },
+        planning: {
+            waypoints: AppState.planningMode.waypoints.map(waypoint => ({
+                ...waypoint,
+                timestamp: toTime(waypoint.timestamp)
+            })),
+            routeSegments: AppState.planningMode.routeSegments.map(segment => ({
+                ...segment,
+                startTimestamp: toTime(segment.startTimestamp),
+                endTimestamp: toTime(segment.endTimestamp)
+            }))
+        },
+        map: {
+            style: AppState.mapStyle,
+            camera: {
+                center: map.getCenter().toArray(),
+                zoom: map.getZoom(),
+                bearing: map.getBearing(),
+                pitch: map.getPitch()
+            },
+            layers: getLayerSettings()
+        },
+        playback: {
+            currentTime: AppState.animation.currentTime,
+            speed: AppState.animation.speed,
+            selectedTrackId: AppState.selectedTrackId,
+            cameraLocked: AppState.camera.isLocked
+        }
+    };
+}
+
+function saveProject() {
+    if (!AppState.map) {
+        showNotification('Set up the map before saving a project', 'error');
+        return;
+    }
+
+    try {
+        const project = createProject();
+        const baseName = (AppState.data.properties?.filename || AppState.data.properties?.name || 'session')
+            .replace(/\.[^.]+$/, '')
+            .replace(/[^\w.-]+/g, '_');
+        const filename = `${baseName}.${PROJECT_EXTENSION}`;
+        downloadFile(JSON.stringify(project), filename, 'application/json');
+        showNotification(`Saved project to ${filename}`, 'info');
+    } catch (error) {
+        console.error('Error saving project:', error);
+        showNotification('Error saving project: ' + error.message, 'error');
+    }
+}
+
+// Opening
+// Sections a project does not have leave the current state alone
+async function applyProject(project) {
+    AppState.animationController?.pause();
+
+    if (project.map?.style && project.map.style !== AppState.mapStyle) {
+        await changeMapStyle(project.map.style);
+    }
+    // A style change recreates the controller
+    const controller = AppState.animationController;
+
+    // The settings dialog reads these each time it opens
+    if (project.importSettings) AppState.setState('importSettings', project.importSettings);
+    if (project.cleaning) AppState.setState('cleaning', project.cleaning);
+    if (project.display) AppState.setState('filters', project.display);
+
+    if (project.data?.features?.length > 0) {
+        processData(project.data);
+        if (AppState.data !== project.data) {
+            throw new Error('The tracks in the project could not be loaded');
+        }
+    } else {
+        clearData();
+    }
+
+    if (project.planning) {
+        AppState.planningMode.waypoints = project.planning.waypoints.map(waypoint => ({
+            ...waypoint,
+            timestamp: toDate(waypoint.timestamp)
+        }));
+        AppState.planningMode.routeSegments = project.planning.routeSegments.map(segment => ({
+            ...segment,
+            startTimestamp: toDate(segment.startTimestamp),
+            endTimestamp: toDate(segment.endTimestamp)
+        }));
+        updateWaypointsLayer();
+        updateRouteSegmentsLayer();
+    }
+
+    // The camera goes after the tracks, since loading them fits the map to their bounds
+    if (project.map?.camera) AppState.map.jumpTo(project.map.camera);
+    if (project.map?.layers) applyLayerSettings(project.map.layers);
+
+    const playback = project.playback;
+    if (playback && controller && AppState.data.features.length > 0) {
+        if (getTracks(AppState.data).some(track => track.id === playback.selectedTrackId)) {
+            selectTrack(playback.selectedTrackId);
+        }
+        setPlaybackSpeed(playback.speed);
+        controller.seekTo(playback.currentTime);
+
+        if (playback.cameraLocked !== AppState.camera.isLocked) {
+            controller.toggleCameraLock();
+        }
+    }
+}
+
+function isProjectFile(file) {
+    return file.name.toLowerCase().endsWith(`.${PROJECT_EXTENSION}`);
+}
+
+async function openProjectFile(file) {
+    if (!AppState.map) {
+        showNotification('Set up the map before opening a project', 'error');
+        return;
+    }
+
+    try {
+        let json;
+        try {
+            json = JSON.parse(await file.text());
+        } catch (error) {
+            throw new Error('The file is not valid JSON');
+        }
+        await applyProject(migrateProject(json));
+        showNotification(`Opened project ${file.name}`, 'info');
+    } catch (error) {
+        console.error('Error opening project:', error);
+        showNotification('Error opening project: ' + error.message, 'error');
+    }
+}
+
+export {
+    createProject,
+    applyProject,
+    migrateProject,
+    isProjectFile,
+    openProjectFile,
+    saveProject
+};
@@ -5,17 +5,22 @@
 // Import utility functions
 import { 
     formatTime, 
-    formatDateTime, 
     generateUniqueId,
     showNotification
 } from './utils.js';
 
+// Import display formatting from timestamps.js
+import { formatTimestamp } from './timestamps.js';
+
 // Import from data-processing.js
 import { processData, createRouteGeoJSON } from './data-processing.js';
 
 // Import from route-planning.js
 import { showTimestampModal, togglePlanningMode } from './route-planning.js';
 
+// Import from route-export.js
+import { handleRouteExport } from './route-export.js';
+
 function updateSubsequentTimestamps(startWaypoint) {
     // Find next segment
     const nextSegment = AppState.planningMode.routeSegments.find(
@@ -91,6 +96,9 @@ function setupRouteCompletionEvents() {
     document.getElementById('completeRouteButton').addEventListener('click', () => {
         finalizeRoute();
     });
+    
+    // Export the plan without finalizing it
+    document.getElementById('exportRouteButton').addEventListener('click', handleRouteExport);
 }
 
 function showRouteCompletionModal() {
@@ -130,7 +138,7 @@ function populateWaypointsList() {
         let timestampBadge = '';
         
         if (waypoint.timestamp) {
-            timestampDisplay = waypoint.timestamp.toLocaleTimeString();
+            timestampDisplay = formatTimestamp(waypoint.timestamp.getTime(), { dateStyle: false });
             const badgeClass = waypoint.timestampType === 'confirmed' ? 'confirmed' : 'estimated';
             timestampBadge = `<span class="timestamp-badge ${badgeClass}">${waypoint.timestampType}</span>`;
         }
@@ -205,13 +213,13 @@ function updateRouteSummary() {
     document.getElementById('totalDuration').textContent = formatTime(totalDuration);
     
     if (firstWaypoint.timestamp) {
-        document.getElementById('startTime').textContent = formatDateTime(firstWaypoint.timestamp);
+        document.getElementById('startTime').textContent = formatTimestamp(firstWaypoint.timestamp.getTime());
     } else {
         document.getElementById('startTime').textContent = 'Not set';
     }
     
     if (lastWaypoint.timestamp) {
-        document.getElementById('endTime').textContent = formatDateTime(lastWaypoint.timestamp);
+        document.getElementById('endTime').textContent = formatTimestamp(lastWaypoint.timestamp.getTime());
     } else {
         document.getElementById('endTime').textContent = 'Not set';
     }
@@ -489,6 +497,36 @@ function initializeLayerControls() {
     }
 }
 
+// Visibility and opacity of the layers the controls manage, by layer id (for project files)
+function getLayerSettings() {
+    const settings = {};
+    AppState.map.getStyle().layers.filter(isRelevantLayer).forEach(layer => {
+        const opacityProperty = `${layer.type}-opacity`;
+        settings[layer.id] = {
+            visible: layer.layout?.visibility !== 'none',
+            opacity: layer.paint?.[opacityProperty]
+        };
+    });
+    return settings;
+}
+
+// Layers missing from the current style are skipped; only plain numeric opacities are restored
+function applyLayerSettings(settings) {
+    Object.entries(settings).forEach(([id, { visible, opacity }]) => {
+        const layer = AppState.map.getLayer(id);
+        if (!layer) return;
+        try {
+            AppState.map.setLayoutProperty(id, 'visibility', visible ? 'visible' : 'none');
+            if (typeof opacity === 'number') {
+                AppState.map.setPaintProperty(id, `${layer.type}-opacity`, opacity);
+            }
+        } catch (err) {
+            console.warn(`Could not restore layer ${id}`, err);
+        }
+    });
+    initializeLayerControls();
+}
+
 // Utility: Calculate Distance Between Coordinates
 function calculateDistance(coordinates) {
     let totalDistance = 0;
@@ -512,5 +550,7 @@ export {
     showRouteCompletionModal, 
     setupRouteCompletionEvents, 
     initializeLayerControls, 
+    getLayerSettings,
+    applyLayerSettings,
     initializeVehicle 
 };
\ No newline at end of file
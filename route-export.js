@@ -0,0 +1,344 @@
+// route-export.js
+// Exports the planned route: the dense timed track, a compact route (waypoints with their
+// timestamps plus segment geometry) as GPX or KML, and a printable itinerary
+
+import { showNotification, downloadFile, escapeXML, formatTime } from './utils.js';
+import { formatTimestamp, getDisplayTimeZone } from './timestamps.js';
+import { createRouteGeoJSON } from './data-processing.js';
+import { exportTracks } from './track-export.js';
+
+const CREATOR = 'Vehicle Tracking Playback';
+const ROUTE_COLOR = '#4285F4';      // matches the planning layers
+const KML_ROUTE_COLOR = 'fff48542'; // ROUTE_COLOR as aabbggrr
+
+function toISO(timestamp) {
+    return new Date(timestamp).toISOString();
+}
+
+function toFileName(name) {
+    return name.replace(/[^\w.-]+/g, '_');
+}
+
+function lineLength(coordinates) {
+    let kilometers = 0;
+    for (let i = 1; i < coordinates.length; i++) {
+        kilometers += turf.distance(
+            turf.point(coordinates[i - 1]),
+            turf.point(coordinates[i]),
+            { units: 'kilometers' }
+        );
+    }
+    return kilometers;
+}
+
+// Itinerary
+// One stop per waypoint in route order with its arrival time, timestamp type and the leg
+// that leads to it. Leg time comes from the timestamps when both ends have one, otherwise
+// from the routing estimate.
+function buildItinerary(planning) {
+    const { waypoints, routeSegments } = planning;
+    let totalDistance = 0;
+
+    return waypoints.map((waypoint, index) => {
+        const segment = index > 0 ?
+            routeSegments.find(candidate =>
+                candidate.startWaypointId === waypoints[index - 1].id &&
+                candidate.endWaypointId === waypoint.id
+            ) : null;
+        const previous = index > 0 ? waypoints[index - 1] : null;
+
+        const legDistance = segment ? lineLength(segment.geometry.coordinates) : 0;
+        let legDuration = null;
+        if (segment) {
+            legDuration = previous.timestamp && waypoint.timestamp ?
+                (waypoint.timestamp.getTime() - previous.timestamp.getTime()) / 1000 :
+                segment.duration;
+        }
+        totalDistance += legDistance;
+
+        return {
+            number: index + 1,
+            waypoint,
+            segment,
+            timestamp: waypoint.timestamp ? waypoint.timestamp.getTime() : null,
+            timestampType: waypoint.timestamp ? waypoint.timestampType : 'none',
+            legDistance,
+            legDuration,
+            totalDistance
+        };
+    });
+}
+
+function describeStop(stop) {
+    if (stop.timestamp === null) return 'No timestamp';
+    return `${formatTimestamp(stop.timestamp)} (${stop.timestampType})`;
+}
+
+// Compact GPX: the waypoints as a <rte> that navigation apps can follow, and the routed
+// geometry as a <trk> with one <trkseg> per leg. Only waypoint positions carry times.
+function toRouteGPX(stops, name) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<gpx version="1.1" creator="${CREATOR}" xmlns="http://www.topografix.com/GPX/1/1">`,
+        '  <metadata>',
+        `    <name>${escapeXML(name)}</name>`,
+        `    <time>${toISO(Date.now())}</time>`,
+        '  </metadata>',
+        '  <rte>',
+        `    <name>${escapeXML(name)}</name>`
+    ];
+
+    stops.forEach(stop => {
+        const [lng, lat] = stop.waypoint.coordinates;
+        lines.push(`    <rtept lat="${lat}" lon="${lng}">`);
+        if (stop.timestamp !== null) lines.push(`      <time>${toISO(stop.timestamp)}</time>`);
+        lines.push(`      <name>Waypoint ${stop.number}</name>`);
+        lines.push(`      <desc>${escapeXML(describeStop(stop))}</desc>`);
+        lines.push(`      <type>${stop.timestampType}</type>`);
+        lines.push('    </rtept>');
+    });
+    lines.push('  </rte>');
+
+    lines.push('  <trk>');
+    lines.push(`    <name>${escapeXML(name)}</name>`);
+    stops.filter(stop => stop.segment).forEach(stop => {
+        const coordinates = stop.segment.geometry.coordinates;
+        const startTime = stops[stop.number - 2].timestamp;
+        lines.push('    <trkseg>');
+        coordinates.forEach(([lng, lat], i) => {
+            let time = null;
+            if (i === 0) time = startTime;
+            if (i === coordinates.length - 1) time = stop.timestamp;
+            lines.push(time !== null ?
+                `      <trkpt lat="${lat}" lon="${lng}"><time>${toISO(time)}</time></trkpt>` :
+                `      <trkpt lat="${lat}" lon="${lng}"/>`);
+        });
+        lines.push('    </trkseg>');
+    });
+    lines.push('  </trk>');
+
+    lines.push('</gpx>');
+    return lines.join('\n');
+}
+
+// Compact KML: a folder of waypoint placemarks with TimeStamps and a folder of leg
+// LineStrings with TimeSpans
+function toRouteKML(stops, name) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2">',
+        '<Document>',
+        `  <name>${escapeXML(name)}</name>`,
+        '  <Style id="route">',
+        `    <LineStyle><color>${KML_ROUTE_COLOR}</color><width>4</width></LineStyle>`,
+        `    <IconStyle><color>${KML_ROUTE_COLOR}</color></IconStyle>`,
+        '  </Style>',
+        '  <Folder>',
+        '    <name>Waypoints</name>'
+    ];
+
+    stops.forEach(stop => {
+        const [lng, lat] = stop.waypoint.coordinates;
+        lines.push('    <Placemark>');
+        lines.push(`      <name>Waypoint ${stop.number}</name>`);
+        lines.push(`      <description>${escapeXML(describeStop(stop))}</description>`);
+        if (stop.timestamp !== null) {
+            lines.push(`      <TimeStamp><when>${toISO(stop.timestamp)}</when></TimeStamp>`);
+        }
+        lines.push('      <styleUrl>#route</styleUrl>');
+        lines.push(`      <ExtendedData><Data name="timestampType"><value>${stop.timestampType}</value></Data></ExtendedData>`);
+        lines.push(`      <Point><coordinates>${lng},${lat}</coordinates></Point>`);
+        lines.push('    </Placemark>');
+    });
+    lines.push('  </Folder>');
+
+    lines.push('  <Folder>');
+    lines.push('    <name>Route</name>');
+    stops.filter(stop => stop.segment).forEach(stop => {
+        const previous = stops[stop.number - 2];
+        lines.push('    <Placemark>');
+        lines.push(`      <name>Waypoint ${previous.number} to ${stop.number}</name>`);
+        if (previous.timestamp !== null && stop.timestamp !== null) {
+            lines.push(`      <TimeSpan><begin>${toISO(previous.timestamp)}</begin><end>${toISO(stop.timestamp)}</end></TimeSpan>`);
+        }
+        lines.push('      <styleUrl>#route</styleUrl>');
+        lines.push('      <ExtendedData>');
+        lines.push(`        <Data name="distance"><value>${(stop.legDistance * 1000).toFixed(0)}</value></Data>`);
+        if (stop.legDuration !== null) {
+            lines.push(`        <Data name="duration"><value>${Math.round(stop.legDuration)}</value></Data>`);
+        }
+        lines.push('      </ExtendedData>');
+        lines.push('      <LineString><tessellate>1</tessellate><coordinates>');
+        lines.push('        ' + stop.segment.geometry.coordinates.map(([lng, lat]) => `${lng},${lat}`).join(' '));
+        lines.push('      </coordinates></LineString>');
+        lines.push('    </Placemark>');
+    });
+    lines.push('  </Folder>');
+
+    lines.push('</Document>');
+    lines.push('</kml>');
+    return lines.join('\n');
+}
+
+// Printable itinerary: a standalone HTML page with the waypoint table, times in the
+// display zone
+function toItineraryHTML(stops, name) {
+    const first = stops[0];
+    const last = stops[stops.length - 1];
+    const totalDuration = first.timestamp !== null && last.timestamp !== null ?
+        (last.timestamp - first.timestamp) / 1000 :
+        stops.reduce((sum, stop) => sum + (stop.legDuration || 0), 0);
+
+    const rows = stops.map(stop => {
+        const [lng, lat] = stop.waypoint.coordinates;
+        return `
+            <tr>
+                <td>${stop.number}</td>
+                <td>${escapeXML(stop.timestamp !== null ? formatTimestamp(stop.timestamp) : 'Not set')}</td>
+                <td class="type-${stop.timestampType}">${stop.timestampType}</td>
+                <td>${stop.segment ? `${stop.legDistance.toFixed(2)} km` : ''}</td>
+                <td>${stop.legDuration !== null ? formatTime(stop.legDuration) : ''}</td>
+                <td>${stop.totalDistance.toFixed(2)} km</td>
+                <td>${lat.toFixed(5)}, ${lng.toFixed(5)}</td>
+            </tr>`;
+    }).join('');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeXML(name)}</title>
+    <style>
+        body { font-family: sans-serif; margin: 2rem; color: #222; }
+        h1 { font-size: 1.4rem; margin-bottom: 0.25rem; }
+        .summary { color: #555; margin-bottom: 1.5rem; }
+        table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+        th, td { border-bottom: 1px solid #ccc; padding: 0.4rem 0.6rem; text-align: left; }
+        th { background: #f0f0f0; }
+        .type-confirmed { color: #2e7d32; font-weight: bold; }
+        .type-estimated { color: #ef6c00; }
+        .type-none { color: #888; }
+        @media print { body { margin: 0; } }
+    </style>
+</head>
+<body>
+    <h1>${escapeXML(name)}</h1>
+    <div class="summary">
+        ${escapeXML(describeStop(first))} – ${escapeXML(describeStop(last))}<br>
+        ${last.totalDistance.toFixed(2)} km, ${formatTime(totalDuration)} ·
+        ${stops.length} waypoints · times in ${escapeXML(getDisplayTimeZone())}
+    </div>
+    <table>
+        <thead>
+            <tr>
+                <th>#</th>
+                <th>Arrival</th>
+                <th>Timestamp</th>
+                <th>Leg distance</th>
+                <th>Leg time</th>
+                <th>Total distance</th>
+                <th>Location</th>
+            </tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+    </table>
+</body>
+</html>`;
+}
+
+// Dense timed track
+// The same one-per-second points the route plays back with, written through the track
+// exporter as a single track
+function exportRouteTrack(name, format) {
+    const routeData = createRouteGeoJSON(name);
+    if (!routeData) return null;
+
+    const data = {
+        ...routeData,
+        features: routeData.features.map(feature => ({
+            ...feature,
+            properties: { ...feature.properties, trackId: 'route', segment: 0 }
+        })),
+        properties: {
+            ...routeData.properties,
+            tracks: [{ id: 'route', name: name, color: ROUTE_COLOR, pointCount: routeData.features.length }]
+        }
+    };
+
+    const result = exportTracks(data, format);
+    return result && { ...result, filename: `${toFileName(name)}-track.${format}` };
+}
+
+const ROUTE_EXPORT_FORMATS = {
+    'route-gpx': { extension: 'gpx', mimeType: 'application/gpx+xml', serialize: toRouteGPX },
+    'route-kml': { extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml', serialize: toRouteKML },
+    'itinerary': { extension: 'html', mimeType: 'text/html', serialize: toItineraryHTML }
+};
+
+// Returns { content, filename, mimeType } for the current plan, or null when it is incomplete
+function exportPlannedRoute(name, format) {
+    const { waypoints, routeSegments } = AppState.planningMode;
+    if (waypoints.length < 2 || routeSegments.length === 0) {
+        showNotification('Need at least two waypoints to export a route', 'error');
+        return null;
+    }
+
+    if (format === 'track-gpx' || format === 'track-kml') {
+        if (!waypoints[0].timestamp) {
+            showNotification('First waypoint must have a timestamp', 'error');
+            return null;
+        }
+        return exportRouteTrack(name, format.replace('track-', ''));
+    }
+
+    const definition = ROUTE_EXPORT_FORMATS[format];
+    if (!definition) throw new Error(`Unknown route export format: ${format}`);
+
+    return {
+        content: definition.serialize(buildItinerary(AppState.planningMode), name),
+        filename: `${toFileName(name)}${format === 'itinerary' ? '-itinerary' : ''}.${definition.extension}`,
+        mimeType: definition.mimeType
+    };
+}
+
+// Opens the itinerary in a new window and brings up the print dialog; falls back to a
+// download when pop-ups are blocked
+function printItinerary(result) {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+        downloadFile(result.content, result.filename, result.mimeType);
+        showNotification('Pop-up blocked; the itinerary was downloaded instead', 'warning');
+        return;
+    }
+    printWindow.document.write(result.content);
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+}
+
+// Route completion dialog handler
+function handleRouteExport() {
+    const name = document.getElementById('routeName').value.trim() || 'Planned route';
+    const format = document.getElementById('routeExportFormat').value;
+
+    try {
+        const result = exportPlannedRoute(name, format);
+        if (!result) return;
+
+        if (format === 'itinerary') {
+            printItinerary(result);
+        } else {
+            downloadFile(result.content, result.filename, result.mimeType);
+            showNotification(`Exported route to ${result.filename}`, 'info');
+        }
+    } catch (error) {
+        console.error('Error exporting route:', error);
+        showNotification('Error exporting route: ' + error.message, 'error');
+    }
+}
+
+export {
+    exportPlannedRoute,
+    handleRouteExport
+};
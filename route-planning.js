@@ -4,10 +4,14 @@ import { setupRouteCompletionEvents } from './route-completion.js';
 import { 
     showNotification,
     formatTime,
-    formatDateForInput,
-    formatTimeForInput,
     generateUniqueId
 } from './utils.js';
+// Import zoned date/time input helpers from timestamps.js
+import {
+    toZonedInputValues,
+    fromZonedInputValues,
+    getDisplayTimeZone
+} from './timestamps.js';
 // Import from data-processing.js
 import { fetchDirectionsRoute } from './data-processing.js';
 
@@ -499,17 +503,13 @@ function showTimestampModal(waypointId, isFirst = false) {
     if (waypoint.timestamp === null) timestampType = 'none';
     document.querySelector(`input[name="timestampType"][value="${timestampType}"]`).checked = true;
     
-    // Set date/time inputs
-    if (waypoint.timestamp) {
-        const date = new Date(waypoint.timestamp);
-        document.getElementById('timestampDate').value = formatDateForInput(date);
-        document.getElementById('timestampTime').value = formatTimeForInput(date);
-    } else {
-        // Use current date as default
-        const now = new Date();
-        document.getElementById('timestampDate').value = formatDateForInput(now);
-        document.getElementById('timestampTime').value = formatTimeForInput(now);
-    }
+    // Set date/time inputs (entered and shown in the display time zone)
+    const inputValues = toZonedInputValues(
+        waypoint.timestamp ? new Date(waypoint.timestamp).getTime() : Date.now() // Default to now
+    );
+    document.getElementById('timestampDate').value = inputValues.date;
+    document.getElementById('timestampTime').value = inputValues.time;
+    document.getElementById('timestampZoneLabel').textContent = getDisplayTimeZone();
     
     // Show estimated timestamp if available
     if (waypoint.order > 0) {
@@ -612,15 +612,14 @@ function saveWaypointTimestamp() {
             return;
         }
         
-        // Create timestamp
-        try {
-            const timestamp = new Date(`${dateStr}T${timeStr}`);
-            waypoint.timestamp = timestamp;
-            waypoint.timestampType = timestampType;
-        } catch (error) {
+        // Create timestamp, reading the inputs as wall-clock time in the display zone
+        const timestamp = new Date(fromZonedInputValues(dateStr, timeStr));
+        if (isNaN(timestamp.getTime())) {
             showNotification('Invalid date/time format', 'error');
             return;
         }
+        waypoint.timestamp = timestamp;
+        waypoint.timestampType = timestampType;
     }
     
     // Update segments that use this waypoint
@@ -0,0 +1,192 @@
+// session-autosave.js
+// Autosave and crash recovery: the session is kept in IndexedDB while the app runs, so a
+// reload or crash loses at most a few seconds of work, and is offered for restore on the
+// next start. Uses the project file format, so restoring works like opening a project.
+
+import { showNotification, formatDateTime } from './utils.js';
+import { createProject, applyProject, migrateProject } from './project-files.js';
+import { getTracks } from './tracks.js';
+
+const DATABASE_NAME = 'vehicle-tracking-playback';
+const DATABASE_VERSION = 1;
+const STORE_NAME = 'session';
+const AUTOSAVE_INTERVAL = 3000;  // ms
+
+// The session is stored as two records: 'state' (the project without its tracks, small and
+// rewritten whenever it changes) and 'data' (the tracks, rewritten only when they change)
+const STATE_KEY = 'state';
+const DATA_KEY = 'data';
+
+let database = null;
+let autosaveTimer = null;
+let saving = false;
+let lastSavedState = null;
+let lastSavedData = null;
+let lastSavedTracks = null;
+
+// IndexedDB
+function openDatabase() {
+    if (database) return Promise.resolve(database);
+
+    return new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not available'));
+            return;
+        }
+        const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+        request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+        request.onsuccess = () => {
+            database = request.result;
+            resolve(database);
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Runs callback(store) in a transaction and resolves when it commits, with the result of
+// the request the callback returns (if any)
+async function withStore(mode, callback) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = callback(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => resolve(request?.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
+
+async function loadSession() {
+    const [state, saved] = await Promise.all([
+        withStore('readonly', store => store.get(STATE_KEY)),
+        withStore('readonly', store => store.get(DATA_KEY))
+    ]);
+    if (!state) return null;
+    return { ...state, data: saved?.data || null };
+}
+
+function clearSession() {
+    lastSavedState = null;
+    lastSavedData = null;
+    lastSavedTracks = null;
+    return withStore('readwrite', store => store.clear());
+}
+
+// Autosave
+// Skipped while there is no map to read the camera from and while a video is being
+// recorded, when the map is resized and the playback position jumps frame by frame
+async function saveSession() {
+    if (saving || !AppState.map || AppState.animationController?.frameStepping) return;
+    saving = true;
+
+    try {
+        const state = createProject({ includeData: false });
+        const { savedAt, ...comparable } = state;
+        const stateKey = JSON.stringify(comparable);
+
+        // Track names and colours are edited in place, so compare them as well as the data
+        const data = AppState.data;
+        const tracksKey = JSON.stringify(getTracks(data));
+        const dataChanged = data !== lastSavedData || tracksKey !== lastSavedTracks;
+
+        if (stateKey === lastSavedState && !dataChanged) return;
+
+        await withStore('readwrite', store => {
+            store.put(state, STATE_KEY);
+            if (dataChanged) {
+                store.put({ data: createProject().data }, DATA_KEY);
+            }
+        });
+
+        lastSavedState = stateKey;
+        lastSavedData = data;
+        lastSavedTracks = tracksKey;
+    } catch (error) {
+        console.error('Error autosaving session:', error);
+    } finally {
+        saving = false;
+    }
+}
+
+function startAutosave() {
+    if (autosaveTimer) return;
+    autosaveTimer = setInterval(saveSession, AUTOSAVE_INTERVAL);
+
+    // Best effort on the way out; the interval covers anything this misses
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') saveSession();
+    });
+    window.addEventListener('pagehide', saveSession);
+}
+
+// Restore
+function hasWork(session) {
+    return (session?.data?.features?.length || 0) > 0 ||
+        (session?.planning?.waypoints?.length || 0) > 0;
+}
+
+function describeSession(session) {
+    const parts = [];
+    const trackCount = session.data?.features?.length > 0 ? Math.max(1, getTracks(session.data).length) : 0;
+    if (trackCount > 0) {
+        parts.push(`${trackCount} ${trackCount === 1 ? 'track' : 'tracks'}`);
+    }
+    const waypointCount = session.planning?.waypoints?.length || 0;
+    if (waypointCount > 0) {
+        parts.push(`${waypointCount} planned ${waypointCount === 1 ? 'waypoint' : 'waypoints'}`);
+    }
+
+    const savedAt = new Date(session.savedAt);
+    return isNaN(savedAt) ? parts.join(', ') : `${parts.join(', ')}, saved ${formatDateTime(savedAt)}`;
+}
+
+// Resolves to true for Restore, false for Discard
+function askToRestore(session) {
+    const modal = document.getElementById('restoreSessionModal');
+    document.getElementById('restoreSessionSummary').textContent = describeSession(session);
+
+    return new Promise(resolve => {
+        const answer = restore => {
+            modal.style.display = 'none';
+            resolve(restore);
+        };
+        document.getElementById('restoreSessionButton').onclick = () => answer(true);
+        document.getElementById('discardSessionButton').onclick = () => answer(false);
+        modal.style.display = 'flex';
+    });
+}
+
+// Called once the map is ready. Autosave starts only after the user has chosen, so the
+// saved session is not overwritten by the empty one the app starts with.
+async function initializeSessionRecovery() {
+    if (autosaveTimer) return;
+
+    let session = null;
+    try {
+        session = await loadSession();
+    } catch (error) {
+        console.error('Error reading saved session:', error);
+        showNotification('Autosave is not available in this browser', 'warning');
+        return;
+    }
+
+    if (hasWork(session)) {
+        if (await askToRestore(session)) {
+            try {
+                await applyProject(migrateProject(session));
+                showNotification('Restored previous session', 'info');
+            } catch (error) {
+                console.error('Error restoring session:', error);
+                showNotification('Error restoring session: ' + error.message, 'error');
+            }
+        } else {
+            await clearSession().catch(error => console.error('Error discarding session:', error));
+        }
+    }
+
+    startAutosave();
+}
+
+export {
+    initializeSessionRecovery
+};
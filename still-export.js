@@ -0,0 +1,388 @@
+// still-export.js
+// High-resolution stills of the current map view for reports: renders the map at a chosen
+// paper size and DPI, adds a title block with the playback time, a track legend, scale bar
+// and north arrow, and saves it as PNG or PDF
+
+import { showNotification, downloadFile } from './utils.js';
+import { formatTimestamp } from './timestamps.js';
+import { getTracks } from './tracks.js';
+import { captureWhenIdle } from './video-export.js';
+
+const CSS_DPI = 96;                 // CSS pixels per inch
+const MAX_LEGEND_ENTRIES = 12;
+
+// Landscape sizes in inches; portrait swaps them
+const PAPER_SIZES = {
+    a4: { label: 'A4', width: 11.69, height: 8.27 },
+    a3: { label: 'A3', width: 16.54, height: 11.69 },
+    letter: { label: 'Letter', width: 11, height: 8.5 }
+};
+
+// Output size for a size option ('view' or '<paper>-<orientation>') in CSS pixels and
+// device pixels at the given DPI
+function getStillSize(size, dpi, map) {
+    let cssWidth;
+    let cssHeight;
+    if (size === 'view') {
+        const container = map.getContainer();
+        cssWidth = container.clientWidth;
+        cssHeight = container.clientHeight;
+    } else {
+        const [paper, orientation] = size.split('-');
+        const { width, height } = PAPER_SIZES[paper];
+        cssWidth = Math.round((orientation === 'portrait' ? height : width) * CSS_DPI);
+        cssHeight = Math.round((orientation === 'portrait' ? width : height) * CSS_DPI);
+    }
+
+    const pixelRatio = dpi / CSS_DPI;
+    return {
+        cssWidth,
+        cssHeight,
+        pixelRatio,
+        width: Math.round(cssWidth * pixelRatio),
+        height: Math.round(cssHeight * pixelRatio),
+        inches: [cssWidth / CSS_DPI, cssHeight / CSS_DPI]
+    };
+}
+
+// Render the map at print size. Labels and line widths are laid out in CSS pixels, so the
+// container gets the paper size in CSS pixels and the map draws at dpi/96 device pixels
+// per CSS pixel by overriding devicePixelRatio while it resizes. The zoom is raised so the
+// current view still fits. Returns a function that undoes all of it.
+function resizeMapForPrint(map, { cssWidth, cssHeight, pixelRatio }) {
+    const container = map.getContainer();
+    const previous = {
+        width: container.style.width,
+        height: container.style.height,
+        zoom: map.getZoom()
+    };
+    const scale = Math.min(cssWidth / container.clientWidth, cssHeight / container.clientHeight);
+    const ratioDescriptor = Object.getOwnPropertyDescriptor(window, 'devicePixelRatio');
+
+    Object.defineProperty(window, 'devicePixelRatio', { get: () => pixelRatio, configurable: true });
+    container.style.width = `${cssWidth}px`;
+    container.style.height = `${cssHeight}px`;
+    map.resize();
+    map.jumpTo({ zoom: previous.zoom + Math.log2(scale) });
+
+    return () => {
+        if (ratioDescriptor) {
+            Object.defineProperty(window, 'devicePixelRatio', ratioDescriptor);
+        } else {
+            delete window.devicePixelRatio;
+        }
+        container.style.width = previous.width;
+        container.style.height = previous.height;
+        map.resize();
+        map.jumpTo({ zoom: previous.zoom });
+    };
+}
+
+// Overlays
+// All drawing below is in CSS pixels; the context is scaled to the output DPI
+
+// Largest 1, 2 or 5 × 10^n not above `value`
+function roundScaleDistance(value) {
+    const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+    const fraction = value / magnitude;
+    const step = fraction >= 5 ? 5 : fraction >= 2 ? 2 : 1;
+    return step * magnitude;
+}
+
+// Scale bar for the map's current state, measured across the middle of the view like the
+// map's own scale control: { pixels, label }
+function measureScaleBar(map, maxWidth) {
+    const container = map.getContainer();
+    const y = container.clientHeight / 2;
+    const meters = map.unproject([0, y]).distanceTo(map.unproject([maxWidth, y]));
+    const distance = roundScaleDistance(meters);
+    return {
+        pixels: maxWidth * (distance / meters),
+        label: distance >= 1000 ? `${distance / 1000} km` : `${distance} m`
+    };
+}
+
+function drawPanel(context, x, y, width, height) {
+    context.fillStyle = 'rgba(255, 255, 255, 0.9)';
+    context.strokeStyle = 'rgba(0, 0, 0, 0.25)';
+    context.lineWidth = 1;
+    context.beginPath();
+    context.rect(x, y, width, height);
+    context.fill();
+    context.stroke();
+}
+
+function drawTitleBlock(context, { title, subtitle, timestamp }) {
+    const lines = [subtitle, timestamp].filter(Boolean);
+    if (!title && lines.length === 0) return;
+
+    context.font = 'bold 20px sans-serif';
+    let width = context.measureText(title).width;
+    context.font = '13px sans-serif';
+    lines.forEach(line => {
+        width = Math.max(width, context.measureText(line).width);
+    });
+
+    drawPanel(context, 16, 16, width + 24, 42 + lines.length * 18);
+    context.fillStyle = '#222';
+    context.textBaseline = 'top';
+    context.font = 'bold 20px sans-serif';
+    context.fillText(title, 28, 26);
+    context.font = '13px sans-serif';
+    context.fillStyle = '#555';
+    lines.forEach((line, i) => {
+        context.fillText(line, 28, 52 + i * 18);
+    });
+}
+
+function drawLegend(context, tracks, mapHeight) {
+    if (tracks.length === 0) return;
+
+    const shown = tracks.slice(0, MAX_LEGEND_ENTRIES);
+    const rows = shown.map(track => track.name);
+    if (tracks.length > shown.length) rows.push(`+${tracks.length - shown.length} more`);
+
+    context.font = '13px sans-serif';
+    const width = Math.max(...rows.map(row => context.measureText(row).width)) + 52;
+    const height = rows.length * 20 + 16;
+    const x = 16;
+    const y = mapHeight - height - 16;
+
+    drawPanel(context, x, y, width, height);
+    context.textBaseline = 'middle';
+    rows.forEach((row, i) => {
+        const rowY = y + 18 + i * 20;
+        const track = shown[i];
+        if (track) {
+            context.strokeStyle = track.color;
+            context.lineWidth = 4;
+            context.beginPath();
+            context.moveTo(x + 12, rowY);
+            context.lineTo(x + 34, rowY);
+            context.stroke();
+        }
+        context.fillStyle = track ? '#222' : '#777';
+        context.fillText(row, x + 42, rowY);
+    });
+}
+
+function drawScaleBar(context, scaleBar, mapWidth, mapHeight) {
+    const x = mapWidth - scaleBar.pixels - 28;
+    const y = mapHeight - 28;
+
+    drawPanel(context, x - 12, y - 26, scaleBar.pixels + 24, 38);
+    context.strokeStyle = '#222';
+    context.lineWidth = 2;
+    context.beginPath();
+    context.moveTo(x, y - 8);
+    context.lineTo(x, y);
+    context.lineTo(x + scaleBar.pixels, y);
+    context.lineTo(x + scaleBar.pixels, y - 8);
+    context.stroke();
+
+    context.fillStyle = '#222';
+    context.font = '12px sans-serif';
+    context.textAlign = 'center';
+    context.textBaseline = 'bottom';
+    context.fillText(scaleBar.label, x + scaleBar.pixels / 2, y - 4);
+    context.textAlign = 'start';
+}
+
+// Arrow pointing to true north; map bearing is clockwise, so rotate the other way
+function drawNorthArrow(context, bearing, mapWidth) {
+    const centerX = mapWidth - 40;
+    const centerY = 48;
+
+    context.beginPath();
+    context.arc(centerX, centerY, 24, 0, Math.PI * 2);
+    context.fillStyle = 'rgba(255, 255, 255, 0.9)';
+    context.fill();
+    context.strokeStyle = 'rgba(0, 0, 0, 0.25)';
+    context.lineWidth = 1;
+    context.stroke();
+
+    context.save();
+    context.translate(centerX, centerY);
+    context.rotate(-bearing * Math.PI / 180);
+    context.beginPath();
+    context.moveTo(0, -18);
+    context.lineTo(8, 6);
+    context.lineTo(0, 1);
+    context.lineTo(-8, 6);
+    context.closePath();
+    context.fillStyle = '#d32f2f';
+    context.fill();
+    context.fillStyle = '#222';
+    context.font = 'bold 10px sans-serif';
+    context.textAlign = 'center';
+    context.textBaseline = 'top';
+    context.fillText('N', 0, 7);
+    context.restore();
+}
+
+// PNG
+// Stamp the DPI into a PNG as a pHYs chunk (pixels per metre) right after IHDR
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+async function setPNGResolution(blob, dpi) {
+    const png = new Uint8Array(await blob.arrayBuffer());
+    const pixelsPerMeter = Math.round(dpi / 0.0254);
+
+    // length, type, 9 data bytes, CRC
+    const chunk = new Uint8Array(21);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, 9);
+    chunk.set([0x70, 0x48, 0x59, 0x73], 4);     // "pHYs"
+    view.setUint32(8, pixelsPerMeter);
+    view.setUint32(12, pixelsPerMeter);
+    chunk[16] = 1;                              // unit: metre
+    view.setUint32(17, crc32(chunk.subarray(4, 17)));
+
+    // 8-byte signature, then IHDR (4 length + 4 type + 13 data + 4 CRC)
+    const insertAt = 8 + 25;
+    return new Blob([png.subarray(0, insertAt), chunk, png.subarray(insertAt)], { type: 'image/png' });
+}
+
+// Rendering
+// options: { format: 'png'|'pdf', size, dpi, title }. Resolves to { blob, filename, width, height }.
+async function renderStill(options) {
+    const map = AppState.map;
+    const controller = AppState.animationController;
+    const size = getStillSize(options.size, options.dpi, map);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = size.width;
+    canvas.height = size.height;
+    const context = canvas.getContext('2d');
+
+    const data = AppState.data;
+    const startTimestamp = data?.features[0]?.properties.timestamp;
+    const playbackTime = AppState.animation.currentTime;
+
+    if (controller) controller.beginFrameStepping();
+    const restoreMap = resizeMapForPrint(map, size);
+    let scaleBar;
+    let bearing;
+    try {
+        // Place the vehicles again now that the map has its print size
+        if (controller) await controller.renderFrame(playbackTime);
+        await captureWhenIdle(map, context, size.width, size.height);
+        scaleBar = measureScaleBar(map, 150);
+        bearing = map.getBearing();
+    } finally {
+        restoreMap();
+        if (controller) {
+            controller.endFrameStepping();
+            controller.seekTo(playbackTime);
+        }
+    }
+
+    context.save();
+    context.scale(size.pixelRatio, size.pixelRatio);
+    drawTitleBlock(context, {
+        title: options.title,
+        subtitle: data?.properties?.filename || data?.properties?.name || '',
+        timestamp: startTimestamp !== undefined ? formatTimestamp(startTimestamp + playbackTime * 1000) : ''
+    });
+    drawLegend(context, getTracks(data), size.cssHeight);
+    drawScaleBar(context, scaleBar, size.cssWidth, size.cssHeight);
+    drawNorthArrow(context, bearing, size.cssWidth);
+    context.restore();
+
+    const baseName = (options.title || 'map').replace(/[^\w.-]+/g, '_');
+    let blob;
+    if (options.format === 'pdf') {
+        const [widthInches, heightInches] = size.inches;
+        const pdf = new jspdf.jsPDF({
+            orientation: widthInches >= heightInches ? 'landscape' : 'portrait',
+            unit: 'in',
+            format: [widthInches, heightInches]
+        });
+        pdf.addImage(canvas.toDataURL('image/jpeg', 0.92), 'JPEG', 0, 0, widthInches, heightInches);
+        blob = pdf.output('blob');
+    } else {
+        const png = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        blob = await setPNGResolution(png, options.dpi);
+    }
+
+    return {
+        blob,
+        filename: `${baseName}.${options.format}`,
+        width: size.width,
+        height: size.height
+    };
+}
+
+// Still Export Dialog
+function readStillOptions() {
+    return {
+        format: document.getElementById('stillFormat').value,
+        size: document.getElementById('stillSize').value,
+        dpi: parseInt(document.getElementById('stillDpi').value, 10),
+        title: document.getElementById('stillTitle').value.trim()
+    };
+}
+
+function updateStillSummary() {
+    const options = readStillOptions();
+    const size = getStillSize(options.size, options.dpi, AppState.map);
+    document.getElementById('stillExportSummary').textContent =
+        `${size.width.toLocaleString()} × ${size.height.toLocaleString()} px ` +
+        `(${size.inches[0].toFixed(2)} × ${size.inches[1].toFixed(2)} in at ${options.dpi} DPI)`;
+}
+
+function showStillExportModal() {
+    if (!AppState.map) return;
+
+    const modal = document.getElementById('stillExportModal');
+    const titleInput = document.getElementById('stillTitle');
+    if (!titleInput.value) {
+        titleInput.value = (AppState.data?.properties?.filename || AppState.data?.properties?.name || 'Map')
+            .replace(/\.[^.]+$/, '');
+    }
+    ['stillFormat', 'stillSize', 'stillDpi'].forEach(id => {
+        document.getElementById(id).oninput = updateStillSummary;
+    });
+    updateStillSummary();
+
+    const close = () => {
+        modal.style.display = 'none';
+    };
+    document.getElementById('closeStillExportModal').onclick = close;
+    document.getElementById('cancelStillExportButton').onclick = close;
+
+    const exportButton = document.getElementById('confirmStillExportButton');
+    exportButton.onclick = async () => {
+        exportButton.disabled = true;
+        try {
+            const result = await renderStill(readStillOptions());
+            downloadFile(result.blob, result.filename);
+            showNotification(`Exported ${result.width} × ${result.height} image to ${result.filename}`, 'info');
+            close();
+        } catch (error) {
+            console.error('Error exporting image:', error);
+            showNotification('Error exporting image: ' + error.message, 'error');
+        } finally {
+            exportButton.disabled = false;
+        }
+    };
+
+    modal.style.display = 'flex';
+}
+
+export {
+    renderStill,
+    showStillExportModal
+};
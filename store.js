@@ -0,0 +1,95 @@
+// store.js
+// Application store: state is split into named slices, each replaced rather than mutated
+// on update. Subscribers pick a value out of the state with a selector and are called only
+// when that value changes; change listeners hear about every update, with the slice name.
+
+// For selectors that return arrays or plain objects built on each call
+function shallowEqual(a, b) {
+    if (Object.is(a, b)) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length &&
+        keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && Object.is(a[key], b[key]));
+}
+
+class Store {
+    constructor(slices) {
+        this.state = Object.freeze(Object.fromEntries(
+            Object.entries(slices).map(([name, slice]) => [name, Object.freeze({ ...slice })])
+        ));
+        this.subscriptions = new Set();
+        this.listeners = new Set();
+    }
+
+    getState() {
+        return this.state;
+    }
+
+    select(selector) {
+        return selector(this.state);
+    }
+
+    // changes is an object of new values, or a function from the current slice to one.
+    // Nothing is notified when every value is already current.
+    update(name, changes) {
+        const slice = this.state[name];
+        if (!slice) throw new Error(`Unknown state slice: ${name}`);
+
+        const values = typeof changes === 'function' ? changes(slice) : changes;
+        if (Object.keys(values).every(key => Object.is(slice[key], values[key]))) return;
+
+        const previous = this.state;
+        this.state = Object.freeze({
+            ...previous,
+            [name]: Object.freeze({ ...slice, ...values })
+        });
+        this.notify(name, previous);
+    }
+
+    // Calls listener(value, previousValue, state) whenever selector(state) changes, as decided
+    // by options.equals (Object.is by default). Returns a function that unsubscribes.
+    subscribe(selector, listener, { equals = Object.is } = {}) {
+        const subscription = {
+            selector,
+            listener,
+            equals,
+            value: selector(this.state)
+        };
+        this.subscriptions.add(subscription);
+        return () => this.subscriptions.delete(subscription);
+    }
+
+    // Change events: callback({ slice, state, previous }) after every update
+    addListener(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    notify(name, previous) {
+        const state = this.state;
+
+        this.subscriptions.forEach(subscription => {
+            try {
+                const value = subscription.selector(state);
+                if (subscription.equals(value, subscription.value)) return;
+                const previousValue = subscription.value;
+                subscription.value = value;
+                subscription.listener(value, previousValue, state);
+            } catch (error) {
+                console.error('Error in state subscriber:', error);
+            }
+        });
+
+        this.listeners.forEach(listener => {
+            try {
+                listener({ slice: name, state, previous });
+            } catch (error) {
+                console.error('Error in state listener:', error);
+            }
+        });
+    }
+}
+
+export { shallowEqual };
+export default Store;
@@ -0,0 +1,217 @@
+// streaming-import.js
+// Large CSV import: column mapping from a preview of the file head, parsing in import-worker.js
+// with a cancellable progress overlay, and feature building from the transferred columns
+
+import { STEP_SIZE, runStepsAsync } from './utils.js';
+import { resolveColumnMapping } from './csv-mapping.js';
+import { detectTimestampFormat, getImportTimeOptions } from './timestamps.js';
+import { createSkipLog } from './import-validation.js';
+
+// Files above this size are streamed through the worker instead of parsed in one go
+const STREAMING_THRESHOLD = 16 * 1024 * 1024;   // bytes
+const PREVIEW_BYTES = 256 * 1024;
+
+function shouldStreamImport(file, fileType) {
+    return fileType === 'csv' && file.size > STREAMING_THRESHOLD && typeof Worker !== 'undefined';
+}
+
+// Headers, delimiter and sample rows from the start of the file. The last line of the
+// slice may be cut off, so it is dropped.
+async function readCSVPreview(file) {
+    const text = await file.slice(0, PREVIEW_BYTES).text();
+    const complete = file.size <= PREVIEW_BYTES ? text : text.slice(0, text.lastIndexOf('\n') + 1);
+
+    const results = await new Promise((resolve, reject) => {
+        Papa.parse(complete, {
+            header: true,
+            dynamicTyping: true,
+            skipEmptyLines: true,
+            complete: resolve,
+            error: reject
+        });
+    });
+
+    return {
+        headers: results.meta.fields || [],
+        delimiter: results.meta.delimiter,
+        rows: results.data
+    };
+}
+
+// Import Progress
+// One overlay covers a large import from the worker starting until the points are ready on
+// the map. run() drives sliced work (see runStepsAsync) under it; Cancel stops the worker or
+// the slices, whichever is running.
+function createImportProgress(file) {
+    const overlay = document.getElementById('importProgress');
+    const fill = document.getElementById('importProgressFill');
+    const label = document.getElementById('importProgressLabel');
+    let cancelled = false;
+    let onCancel = null;
+
+    const update = (text, fraction) => {
+        fill.style.width = `${Math.min(fraction, 1) * 100}%`;
+        label.textContent = text;
+    };
+
+    return {
+        // Shown once the worker starts, so it does not sit over the column mapping dialog
+        show() {
+            if (overlay.style.display === 'flex') return;
+            document.getElementById('importCancelButton').onclick = () => {
+                cancelled = true;
+                if (onCancel) onCancel();
+            };
+            update(`Importing ${file.name}…`, 0);
+            overlay.style.display = 'flex';
+        },
+        update,
+        // callback runs when Cancel is pressed; null to remove it
+        onCancel(callback) {
+            onCancel = callback;
+        },
+        isCancelled() {
+            return cancelled;
+        },
+        // Resolves to the result of steps, or null if cancelled
+        run(steps) {
+            return runStepsAsync(steps, {
+                onProgress: ({ label: stage, done, total }) => {
+                    const fraction = total > 0 ? done / total : 0;
+                    update(`${stage} in ${file.name}: ${(fraction * 100).toFixed(0)}%`, fraction);
+                },
+                isCancelled: () => cancelled
+            });
+        },
+        close() {
+            onCancel = null;
+            overlay.style.display = 'none';
+        }
+    };
+}
+
+// Resolves to a FeatureCollection, or null if the user cancels the mapping or the import.
+// progress is the overlay from createImportProgress; the caller closes it.
+async function streamCSVImport(file, progress) {
+    const preview = await readCSVPreview(file);
+
+    const mapping = await resolveColumnMapping(preview.headers, preview.rows);
+    if (!mapping) return null;
+
+    // Timestamp format is detected once from the preview and applied to every row
+    const timeOptions = getImportTimeOptions();
+    timeOptions.format = detectTimestampFormat(
+        preview.rows.slice(0, 500).map(row => mapping.date ?
+            `${row[mapping.date] ?? ''} ${row[mapping.time] ?? ''}`.trim() :
+            row[mapping.time])
+    );
+
+    const result = await runImportWorker(file, progress, {
+        mapping,
+        delimiter: preview.delimiter,
+        timeOptions
+    });
+    if (!result) return null;
+
+    const features = await progress.run(buildFeatures(result));
+    if (!features) return null;
+
+    const skipLog = createSkipLog();
+    skipLog.addCount('Missing or invalid latitude/longitude', result.skipped.invalidCoordinates);
+    skipLog.addCount('Missing or unreadable timestamp', result.skipped.invalidTimestamp);
+
+    return {
+        type: 'FeatureCollection',
+        features,
+        properties: {
+            source: 'csv-import',
+            filename: file.name,
+            columnMapping: mapping,
+            skipped: skipLog.entries(),
+            // Counted by the worker before it sorted the rows (see countOutOfOrder)
+            outOfOrder: result.outOfOrder,
+            importedAt: new Date().toISOString()
+        }
+    };
+}
+
+// Worker Session
+function runImportWorker(file, progress, options) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker('import-worker.js', { type: 'module' });
+
+        const finish = () => {
+            worker.terminate();
+            progress.onCancel(null);
+        };
+
+        progress.onCancel(() => {
+            finish();
+            resolve(null);
+        });
+
+        worker.onmessage = (e) => {
+            const message = e.data;
+            switch (message.type) {
+                case 'progress': {
+                    const fraction = message.loaded / message.total;
+                    progress.update(`Importing ${file.name}: ${(fraction * 100).toFixed(0)}% (${message.rows.toLocaleString()} points)`, fraction);
+                    break;
+                }
+                case 'complete':
+                    finish();
+                    resolve(message);
+                    break;
+                case 'error':
+                    finish();
+                    reject(new Error(message.error));
+                    break;
+            }
+        };
+
+        worker.onerror = (e) => {
+            finish();
+            reject(new Error(e.message || 'Import worker failed'));
+        };
+
+        progress.show();
+        worker.postMessage({ file, ...options });
+    });
+}
+
+// Expand the transferred columns into the point features the rest of the app works with,
+// in slices (see runStepsAsync)
+function* buildFeatures({ count, columns, deviceIds }) {
+    const features = new Array(count);
+    const optional = value => isNaN(value) ? undefined : value;
+
+    for (let i = 0; i < count; i++) {
+        if (i % STEP_SIZE === 0) yield { label: 'Building points', done: i, total: count };
+
+        const deviceIndex = columns.deviceIndex[i];
+        features[i] = {
+            type: 'Feature',
+            geometry: {
+                type: 'Point',
+                coordinates: [columns.longitude[i], columns.latitude[i]]
+            },
+            properties: {
+                timestamp: columns.timestamp[i],
+                bearing: columns.bearing[i],
+                speed: optional(columns.speed[i]),
+                altitude: optional(columns.altitude[i]),
+                accuracy: optional(columns.accuracy[i]),
+                deviceId: deviceIndex === -1 ? undefined : deviceIds[deviceIndex],
+                segment: optional(columns.segment[i])
+            }
+        };
+    }
+
+    return features;
+}
+
+export {
+    shouldStreamImport,
+    createImportProgress,
+    streamCSVImport
+};
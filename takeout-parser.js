@@ -0,0 +1,231 @@
+// takeout-parser.js
+// Google Takeout location history: Records.json (raw locations) and Semantic Location
+// History (activity segments and place visits) into timestamped point features
+
+import { createSkipLog } from './import-validation.js';
+
+// Activity types that say nothing about how the device was moving
+const IGNORED_ACTIVITIES = ['UNKNOWN', 'TILTING'];
+
+// Takeout detection on parsed JSON; anything else is treated as GeoJSON
+function isTakeoutJSON(json) {
+    return getTakeoutFormat(json) !== null;
+}
+
+function getTakeoutFormat(json) {
+    if (Array.isArray(json?.locations)) return 'records';
+    if (Array.isArray(json?.timelineObjects)) return 'semantic';
+    return null;
+}
+
+// Coordinates
+// Some exports wrote values past the int32 range as unsigned; wrap them back
+function fromE7(value) {
+    if (typeof value !== 'number' || !isFinite(value)) return NaN;
+    let degrees = value / 1e7;
+    if (degrees > 180) degrees -= 2 ** 32 / 1e7;
+    return degrees;
+}
+
+function toCoordinates(latE7, lngE7) {
+    const lat = fromE7(latE7);
+    const lng = fromE7(lngE7);
+    if (isNaN(lat) || isNaN(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+    return [lng, lat];
+}
+
+// Older exports use epoch-millisecond strings, newer ones ISO 8601 in UTC
+function parseTakeoutTime(iso, ms) {
+    if (iso !== undefined) return Date.parse(iso);
+    if (ms !== undefined) return Number(ms);
+    return NaN;
+}
+
+function createPoint(coordinates, timestamp, properties) {
+    return {
+        type: 'Feature',
+        geometry: {
+            type: 'Point',
+            coordinates: coordinates
+        },
+        properties: {
+            timestamp: timestamp,
+            bearing: 0,
+            ...properties
+        }
+    };
+}
+
+// Records.json
+// Highest-confidence activity of the first classification attached to a location
+function getRecordActivity(record) {
+    const candidates = record.activity?.[0]?.activity || [];
+    const best = candidates
+        .filter(candidate => !IGNORED_ACTIVITIES.includes(candidate.type))
+        .sort((a, b) => b.confidence - a.confidence)[0];
+    return best?.type;
+}
+
+function parseRecords(json, skipLog) {
+    const features = [];
+
+    json.locations.forEach((record, index) => {
+        const location = `location ${index + 1}`;
+        const coordinates = toCoordinates(record.latitudeE7, record.longitudeE7);
+        if (!coordinates) {
+            skipLog.add('Missing or invalid latitudeE7/longitudeE7', location);
+            return;
+        }
+        const timestamp = parseTakeoutTime(record.timestamp, record.timestampMs);
+        if (isNaN(timestamp)) {
+            skipLog.add('Missing or unreadable timestamp', location);
+            return;
+        }
+
+        if (typeof record.altitude === 'number') coordinates.push(record.altitude);
+
+        features.push(createPoint(coordinates, timestamp, {
+            bearing: typeof record.heading === 'number' ? record.heading : 0,
+            speed: typeof record.velocity === 'number' ? record.velocity : undefined,
+            altitude: record.altitude,
+            accuracy: record.accuracy,
+            activityType: getRecordActivity(record),
+            // One export can mix phones; each becomes its own track
+            deviceId: record.deviceTag !== undefined ? String(record.deviceTag) : undefined,
+            locationSource: record.source
+        }));
+    });
+
+    return features;
+}
+
+// Semantic Location History
+function parseSemantic(json, skipLog) {
+    const features = [];
+    const stats = { activitySegments: 0, placeVisits: 0 };
+
+    // A segment's end and the following visit's start share a timestamp; the visit's
+    // point wins since it carries the place
+    const pushPoint = (point) => {
+        const last = features[features.length - 1];
+        if (last && last.properties.timestamp === point.properties.timestamp) {
+            if (point.properties.place && !last.properties.place) {
+                features[features.length - 1] = point;
+            }
+            return;
+        }
+        features.push(point);
+    };
+
+    json.timelineObjects.forEach((object, index) => {
+        const location = `timeline object ${index + 1}`;
+
+        if (object.activitySegment) {
+            const segment = object.activitySegment;
+            const start = parseTakeoutTime(segment.duration?.startTimestamp, segment.duration?.startTimestampMs);
+            const end = parseTakeoutTime(segment.duration?.endTimestamp, segment.duration?.endTimestampMs);
+            if (isNaN(start) || isNaN(end)) {
+                skipLog.add('Activity segment without a time range', location);
+                return;
+            }
+
+            const activityType = segment.activityType;
+            const startCoordinates = toCoordinates(segment.startLocation?.latitudeE7, segment.startLocation?.longitudeE7);
+            const endCoordinates = toCoordinates(segment.endLocation?.latitudeE7, segment.endLocation?.longitudeE7);
+
+            // Raw path points carry their own times; waypoints do not and are spread
+            // evenly over the segment
+            let pathPoints = (segment.simplifiedRawPath?.points || []).map(point => ({
+                coordinates: toCoordinates(point.latE7, point.lngE7),
+                timestamp: parseTakeoutTime(point.timestamp, point.timestampMs),
+                accuracy: point.accuracyMeters
+            }));
+            if (pathPoints.length === 0) {
+                const waypoints = segment.waypointPath?.waypoints || [];
+                pathPoints = waypoints.map((waypoint, i) => ({
+                    coordinates: toCoordinates(waypoint.latE7, waypoint.lngE7),
+                    timestamp: start + (end - start) * (i + 1) / (waypoints.length + 1)
+                }));
+            }
+
+            const points = [
+                { coordinates: startCoordinates, timestamp: start },
+                ...pathPoints.filter(point => point.timestamp > start && point.timestamp < end),
+                { coordinates: endCoordinates, timestamp: end }
+            ].filter(point => point.coordinates && !isNaN(point.timestamp));
+
+            if (points.length === 0) {
+                skipLog.add('Activity segment without coordinates', location);
+                return;
+            }
+
+            points.forEach(point => pushPoint(createPoint(point.coordinates, point.timestamp, {
+                accuracy: point.accuracy,
+                activityType: activityType
+            })));
+            stats.activitySegments++;
+        } else if (object.placeVisit) {
+            const visit = object.placeVisit;
+            const place = visit.location || {};
+            const coordinates = toCoordinates(place.latitudeE7, place.longitudeE7) ||
+                toCoordinates(visit.centerLatE7, visit.centerLngE7);
+            const start = parseTakeoutTime(visit.duration?.startTimestamp, visit.duration?.startTimestampMs);
+            const end = parseTakeoutTime(visit.duration?.endTimestamp, visit.duration?.endTimestampMs);
+            if (!coordinates || isNaN(start) || isNaN(end)) {
+                skipLog.add('Place visit without a location or time range', location);
+                return;
+            }
+
+            // Arrival and departure at the place; trip segmentation picks the pair up as a
+            // stop and labels it with the place
+            const properties = {
+                activityType: 'STILL',
+                place: place.name || place.address || 'Unnamed place',
+                placeAddress: place.address,
+                placeId: place.placeId
+            };
+            pushPoint(createPoint(coordinates.slice(), start, properties));
+            if (end > start) {
+                pushPoint(createPoint(coordinates.slice(), end, { ...properties }));
+            }
+            stats.placeVisits++;
+        } else {
+            skipLog.add('Unrecognised timeline object', location);
+        }
+    });
+
+    return { features, stats };
+}
+
+// Parse a Takeout file that has already been read as JSON
+function parseTakeout(json) {
+    const skipLog = createSkipLog();
+    const format = getTakeoutFormat(json);
+
+    let features;
+    let takeoutStats;
+    if (format === 'records') {
+        features = parseRecords(json, skipLog);
+        takeoutStats = { locations: json.locations.length };
+    } else {
+        ({ features, stats: takeoutStats } = parseSemantic(json, skipLog));
+    }
+
+    return {
+        type: 'FeatureCollection',
+        features: features,
+        properties: {
+            source: 'google-takeout',
+            takeoutFormat: format,
+            name: format === 'records' ? 'Location History' : 'Semantic Location History',
+            importedAt: new Date().toISOString(),
+            takeoutStats: takeoutStats,
+            skipped: skipLog.entries()
+        }
+    };
+}
+
+export {
+    isTakeoutJSON,
+    parseTakeout
+};
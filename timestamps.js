@@ -0,0 +1,310 @@
+// timestamps.js
+// Timestamp format detection, source time zone conversion and zoned display formatting
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Excel serial day 25569 is 1970-01-01 (1900 date system, including Excel's leap-year bug)
+const EXCEL_EPOCH_OFFSET = 25569;
+
+// Numeric range boundaries used for format detection
+const EXCEL_SERIAL_RANGE = { min: 1, max: 1e6 };     // up to ~4637 AD
+const EPOCH_SECONDS_MAX = 1e11;                      // 1e11 s is ~5138 AD; 1e11 ms is 1973
+
+// 2024-01-31, 2024-01-31T10:00, 2024-01-31 10:00:00.123+02:00, 2024/01/31 10:00Z
+const YMD_PATTERN = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T\s]+(\d{1,2}):(\d{2})(?::(\d{2})(?:[.,](\d+))?)?)?\s*(Z|UTC|GMT|[+-]\d{2}:?\d{2})?$/i;
+
+// 31/01/2024 10:00:00, 01/31/24 10:00 PM, 31.01.2024 10:00 +01:00
+const DMY_MDY_PATTERN = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})(?:[T\s,]+(\d{1,2}):(\d{2})(?::(\d{2})(?:[.,](\d+))?)?\s*(AM|PM)?)?\s*(Z|UTC|GMT|[+-]\d{2}:?\d{2})?$/i;
+
+// Time Zone Helpers
+function getLocalTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+// 'local' is stored in settings so a saved preference follows the machine, not a fixed zone
+function resolveTimeZone(timeZone) {
+    return !timeZone || timeZone === 'local' ? getLocalTimeZone() : timeZone;
+}
+
+function getAvailableTimeZones() {
+    if (typeof Intl.supportedValuesOf === 'function') {
+        return Intl.supportedValuesOf('timeZone');
+    }
+    return ['UTC', getLocalTimeZone()];
+}
+
+// Cached per zone: constructing Intl.DateTimeFormat is far more expensive than formatting
+const partsFormatters = new Map();
+
+function getPartsFormatter(timeZone) {
+    if (!partsFormatters.has(timeZone)) {
+        partsFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            timeZoneName: 'short'
+        }));
+    }
+    return partsFormatters.get(timeZone);
+}
+
+// Wall-clock fields of an instant in the given zone
+function getZonedParts(timestamp, timeZone) {
+    const parts = {};
+    getPartsFormatter(timeZone).formatToParts(new Date(timestamp)).forEach(part => {
+        parts[part.type] = part.value;
+    });
+    return {
+        year: parseInt(parts.year, 10),
+        month: parseInt(parts.month, 10),
+        day: parseInt(parts.day, 10),
+        hour: parseInt(parts.hour, 10),
+        minute: parseInt(parts.minute, 10),
+        second: parseInt(parts.second, 10),
+        zoneName: parts.timeZoneName
+    };
+}
+
+// Offset of the zone from UTC at the given instant, in milliseconds
+function getTimeZoneOffset(timestamp, timeZone) {
+    const parts = getZonedParts(timestamp, timeZone);
+    const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUTC - (timestamp - (((timestamp % 1000) + 1000) % 1000));
+}
+
+// Convert a wall-clock time in the given zone to a UTC instant. The zone's offsets a day
+// either side of the time are tried, and a candidate counts when the zone agrees with it.
+// Ambiguous fall-back times take the earlier instant and times inside a spring-forward
+// gap move past the jump, for zones on either side of UTC:
+//   America/New_York 2024-03-10 02:30 -> 07:30Z, 2024-11-03 01:30 -> 05:30Z
+//   Europe/Berlin    2024-03-31 02:30 -> 01:30Z, 2024-10-27 02:30 -> 00:30Z
+function zonedTimeToUtc(fields, timeZone) {
+    const wallClock = Date.UTC(
+        fields.year, fields.month - 1, fields.day,
+        fields.hour || 0, fields.minute || 0, fields.second || 0, fields.millisecond || 0
+    );
+    const zone = resolveTimeZone(timeZone);
+    if (zone === 'UTC') return wallClock;
+
+    const before = getTimeZoneOffset(wallClock - MS_PER_DAY, zone);
+    const after = getTimeZoneOffset(wallClock + MS_PER_DAY, zone);
+    const candidates = [wallClock - before, wallClock - after]
+        .filter(instant => wallClock - getTimeZoneOffset(instant, zone) === instant);
+
+    // None fit inside a gap; the offset from before the jump lands just after it
+    return candidates.length > 0 ? Math.min(...candidates) : wallClock - before;
+}
+
+// Format Detection
+// Samples a column of raw values and picks one interpretation for all of them, so
+// e.g. a file where every day is <= 12 is still read consistently.
+function detectTimestampFormat(samples) {
+    const values = samples.filter(value => value !== null && value !== undefined && value !== '');
+    const numeric = values.filter(value => typeof value === 'number' || /^\d+(\.\d+)?$/.test(String(value).trim()));
+
+    if (values.length > 0 && numeric.length === values.length) {
+        const numbers = numeric.map(Number);
+        const max = Math.max(...numbers);
+        const min = Math.min(...numbers);
+        if (min >= EPOCH_SECONDS_MAX) return { kind: 'epoch-ms' };
+        if (min > EXCEL_SERIAL_RANGE.max) return { kind: 'epoch-s' };
+        if (max <= EXCEL_SERIAL_RANGE.max && min >= EXCEL_SERIAL_RANGE.min) return { kind: 'excel' };
+        return { kind: 'epoch-s' };
+    }
+
+    return { kind: 'text', dateOrder: detectDateOrder(values) };
+}
+
+// For nn/nn/yyyy dates: a first field above 12 means day-first, a second field above 12
+// means month-first. Ambiguous columns fall back to day-first, the common non-US order.
+function detectDateOrder(values) {
+    let dayFirst = false;
+    let monthFirst = false;
+
+    values.forEach(value => {
+        const match = String(value).trim().match(DMY_MDY_PATTERN);
+        if (!match) return;
+        if (parseInt(match[1], 10) > 12) dayFirst = true;
+        if (parseInt(match[2], 10) > 12) monthFirst = true;
+    });
+
+    if (monthFirst && !dayFirst) return 'mdy';
+    return 'dmy';
+}
+
+// Parsing
+function parseOffset(zone) {
+    if (!zone) return null;
+    if (/^(Z|UTC|GMT)$/i.test(zone)) return 0;
+    const match = zone.match(/^([+-])(\d{2}):?(\d{2})$/);
+    if (!match) return null;
+    const minutes = parseInt(match[2], 10) * 60 + parseInt(match[3], 10);
+    return (match[1] === '-' ? -minutes : minutes) * 60 * 1000;
+}
+
+function parseFraction(fraction) {
+    return fraction ? Math.round(parseFloat(`0.${fraction}`) * 1000) : 0;
+}
+
+// Days in a month (1-12); day 0 of the next month is the last day of this one
+function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function toTimestamp(fields, offset, timeZone) {
+    if (fields.month < 1 || fields.month > 12) return NaN;
+    if (fields.day < 1 || fields.day > daysInMonth(fields.year, fields.month)) return NaN;
+    if (offset !== null) {
+        return Date.UTC(
+            fields.year, fields.month - 1, fields.day,
+            fields.hour, fields.minute, fields.second, fields.millisecond
+        ) - offset;
+    }
+    return zonedTimeToUtc(fields, timeZone);
+}
+
+// Parse one raw value into epoch milliseconds (NaN if unreadable).
+// options.format: result of detectTimestampFormat (detected per value when omitted)
+// options.timeZone: zone for wall-clock values without an explicit offset ('local' default)
+// options.dateOrder: 'dmy' / 'mdy' to override detection for nn/nn/yyyy dates
+function parseTimestamp(value, options = {}) {
+    if (value === null || value === undefined || value === '') return NaN;
+    if (value instanceof Date) return value.getTime();
+
+    const format = options.format || detectTimestampFormat([value]);
+    const timeZone = options.timeZone || 'local';
+    const text = String(value).trim();
+
+    switch (format.kind) {
+        case 'epoch-ms':
+            return Number(value);
+        case 'epoch-s':
+            return Number(value) * 1000;
+        case 'excel': {
+            // Serial days are wall-clock time in whatever zone the spreadsheet was made
+            const wallClock = Math.round((Number(value) - EXCEL_EPOCH_OFFSET) * MS_PER_DAY);
+            const date = new Date(wallClock);
+            return zonedTimeToUtc({
+                year: date.getUTCFullYear(),
+                month: date.getUTCMonth() + 1,
+                day: date.getUTCDate(),
+                hour: date.getUTCHours(),
+                minute: date.getUTCMinutes(),
+                second: date.getUTCSeconds(),
+                millisecond: date.getUTCMilliseconds()
+            }, timeZone);
+        }
+    }
+
+    let match = text.match(YMD_PATTERN);
+    if (match) {
+        return toTimestamp({
+            year: parseInt(match[1], 10),
+            month: parseInt(match[2], 10),
+            day: parseInt(match[3], 10),
+            hour: parseInt(match[4] || '0', 10),
+            minute: parseInt(match[5] || '0', 10),
+            second: parseInt(match[6] || '0', 10),
+            millisecond: parseFraction(match[7])
+        }, parseOffset(match[8]), timeZone);
+    }
+
+    match = text.match(DMY_MDY_PATTERN);
+    if (match) {
+        const dateOrder = (options.dateOrder && options.dateOrder !== 'auto') ?
+            options.dateOrder :
+            (format.dateOrder || detectDateOrder([text]));
+        let year = parseInt(match[3], 10);
+        if (match[3].length === 2) year += year < 70 ? 2000 : 1900;
+
+        let hour = parseInt(match[4] || '0', 10);
+        const meridiem = match[8] ? match[8].toUpperCase() : null;
+        if (meridiem === 'PM' && hour < 12) hour += 12;
+        if (meridiem === 'AM' && hour === 12) hour = 0;
+
+        return toTimestamp({
+            year: year,
+            month: parseInt(dateOrder === 'mdy' ? match[1] : match[2], 10),
+            day: parseInt(dateOrder === 'mdy' ? match[2] : match[1], 10),
+            hour: hour,
+            minute: parseInt(match[5] || '0', 10),
+            second: parseInt(match[6] || '0', 10),
+            millisecond: parseFraction(match[7])
+        }, parseOffset(match[9]), timeZone);
+    }
+
+    // Anything else (RFC 2822, "Jan 31 2024 10:00 GMT+0100", ...) is left to the engine
+    return Date.parse(text);
+}
+
+// Import options from the current settings, for parsers that do not detect per column
+function getImportTimeOptions() {
+    const settings = window.AppState?.importSettings || {};
+    return {
+        timeZone: settings.sourceTimeZone || 'local',
+        dateOrder: settings.dateOrder || 'auto'
+    };
+}
+
+// Display Formatting
+// All absolute times shown in the UI go through here so they honour the display zone
+function getDisplayTimeZone() {
+    const filters = window.AppState?.filters;
+    if (!filters || filters.useUTC) return 'UTC';
+    return resolveTimeZone(filters.displayTimeZone);
+}
+
+// "2024-01-31 10:00:00 EST" (or time only with { dateStyle: false })
+function formatTimestamp(timestamp, options = {}) {
+    if (timestamp === null || timestamp === undefined || isNaN(timestamp)) return 'Not set';
+
+    const timeZone = options.timeZone || getDisplayTimeZone();
+    const parts = getZonedParts(timestamp, timeZone);
+    const pad = value => value.toString().padStart(2, '0');
+
+    const time = `${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}`;
+    const date = `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`;
+    const zone = options.showZone === false ? '' : ` ${parts.zoneName}`;
+
+    return options.dateStyle === false ? `${time}${zone}` : `${date} ${time}${zone}`;
+}
+
+// Values for <input type="date"> / <input type="time"> in the display zone
+function toZonedInputValues(timestamp, timeZone = getDisplayTimeZone()) {
+    const parts = getZonedParts(timestamp, timeZone);
+    const pad = value => value.toString().padStart(2, '0');
+    return {
+        date: `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`,
+        time: `${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}`
+    };
+}
+
+// Inverse of toZonedInputValues
+function fromZonedInputValues(dateValue, timeValue, timeZone = getDisplayTimeZone()) {
+    const [year, month, day] = dateValue.split('-').map(Number);
+    const [hour, minute, second] = timeValue.split(':').map(Number);
+    return zonedTimeToUtc({
+        year, month, day,
+        hour: hour || 0,
+        minute: minute || 0,
+        second: second || 0
+    }, timeZone);
+}
+
+export {
+    parseTimestamp,
+    detectTimestampFormat,
+    getImportTimeOptions,
+    zonedTimeToUtc,
+    getLocalTimeZone,
+    getAvailableTimeZones,
+    getDisplayTimeZone,
+    formatTimestamp,
+    toZonedInputValues,
+    fromZonedInputValues
+};
@@ -0,0 +1,394 @@
+// track-cleaning.js
+// GPS outlier flagging/removal and Kalman + RTS smoothing for imported tracks, with the
+// original points kept on each feature for side-by-side comparison on the map
+
+import { STEP_SIZE, runSteps } from './utils.js';
+
+const EARTH_RADIUS = 6371e3;        // meters
+const DEFAULT_ACCURACY = 10;        // meters; measurement noise when a point has no accuracy
+const MIN_ACCURACY = 2;             // meters; floor so over-confident receivers do not pin the filter
+
+// Defaults for AppState.cleaning
+const DEFAULT_CLEANING_SETTINGS = {
+    maxSpeed: 70,               // m/s (~250 km/h)
+    maxAcceleration: 30,        // m/s² (~3 g); lower values start catching 1 Hz jitter
+    removeOutliers: false,
+    smoothing: 'none',          // 'none' | 'kalman'
+    processNoise: 1.0,          // m²/s³; higher follows the measurements more closely
+    showOriginal: false
+};
+
+// Local Projection
+// Equirectangular meters around a reference point; accurate enough over a single track
+function createProjection([lng0, lat0]) {
+    const scale = Math.PI / 180 * EARTH_RADIUS;
+    const cosLat = Math.cos(lat0 * Math.PI / 180);
+    return {
+        toMeters: ([lng, lat]) => [(lng - lng0) * scale * cosLat, (lat - lat0) * scale],
+        toLngLat: ([x, y]) => [lng0 + x / (scale * cosLat), lat0 + y / scale]
+    };
+}
+
+// Runs of points that belong together: same track and same segment, in time order
+function getRuns(features) {
+    const runs = new Map();
+    features.forEach(feature => {
+        const key = `${feature.properties.trackId}|${feature.properties.segment ?? ''}`;
+        if (!runs.has(key)) runs.set(key, []);
+        runs.get(key).push(feature);
+    });
+    return Array.from(runs.values());
+}
+
+// Outlier Detection
+// A point is an outlier when reaching it from the last accepted point implies a speed or
+// acceleration beyond the limits. Comparing against the last accepted point (not simply
+// the previous one) keeps a single spike from also condemning the point after it.
+// Yields the number of points checked so far.
+function* flagOutliers(run, settings) {
+    let lastGood = null;
+    let lastSpeed = null;
+
+    for (let i = 0; i < run.length; i++) {
+        if (i % STEP_SIZE === 0) yield i;
+
+        const feature = run[i];
+        delete feature.properties.outlier;
+        delete feature.properties.outlierReason;
+
+        if (!lastGood) {
+            lastGood = feature;
+            continue;
+        }
+
+        const seconds = (feature.properties.timestamp - lastGood.properties.timestamp) / 1000;
+        const meters = turf.distance(
+            turf.point(lastGood.geometry.coordinates),
+            turf.point(feature.geometry.coordinates),
+            { units: 'meters' }
+        );
+
+        // Same timestamp: only a real displacement is suspicious
+        const speed = seconds > 0 ? meters / seconds : (meters > settings.maxSpeed ? Infinity : 0);
+        const acceleration = (seconds > 0 && lastSpeed !== null) ? Math.abs(speed - lastSpeed) / seconds : 0;
+
+        if (speed > settings.maxSpeed) {
+            feature.properties.outlier = true;
+            feature.properties.outlierReason = `Implied speed ${(speed * 3.6).toFixed(0)} km/h`;
+        } else if (acceleration > settings.maxAcceleration) {
+            feature.properties.outlier = true;
+            feature.properties.outlierReason = `Implied acceleration ${acceleration.toFixed(1)} m/s²`;
+        } else {
+            lastGood = feature;
+            lastSpeed = speed;
+        }
+    }
+}
+
+// Kalman Filter + RTS Smoother
+// Constant-velocity model per axis: state [position, velocity], position measured.
+// x and y are independent, so each axis uses 2x2 matrices written out by hand.
+// Yields the number of points filtered or smoothed since the last yield.
+function* smoothAxis(measurements, times, variances, processNoise) {
+    const n = measurements.length;
+    const filtered = new Array(n);
+    const predicted = new Array(n);
+
+    // Start at the first measurement with unknown velocity
+    let x = [measurements[0], 0];
+    let P = [[variances[0], 0], [0, 100]];
+    filtered[0] = { x, P };
+    predicted[0] = { x, P, F: [[1, 0], [0, 1]] };
+
+    for (let i = 1; i < n; i++) {
+        if (i % STEP_SIZE === 0) yield STEP_SIZE;
+
+        const dt = Math.max(0, (times[i] - times[i - 1]) / 1000);
+
+        // Predict
+        const F = [[1, dt], [0, 1]];
+        const q = processNoise;
+        const Q = [
+            [q * dt * dt * dt / 3, q * dt * dt / 2],
+            [q * dt * dt / 2, q * dt]
+        ];
+        const xPred = [x[0] + dt * x[1], x[1]];
+        const PPred = [
+            [P[0][0] + dt * (P[1][0] + P[0][1]) + dt * dt * P[1][1] + Q[0][0], P[0][1] + dt * P[1][1] + Q[0][1]],
+            [P[1][0] + dt * P[1][1] + Q[1][0], P[1][1] + Q[1][1]]
+        ];
+        predicted[i] = { x: xPred, P: PPred, F };
+
+        // Update with the position measurement
+        const S = PPred[0][0] + variances[i];
+        const K = [PPred[0][0] / S, PPred[1][0] / S];
+        const residual = measurements[i] - xPred[0];
+        x = [xPred[0] + K[0] * residual, xPred[1] + K[1] * residual];
+        P = [
+            [(1 - K[0]) * PPred[0][0], (1 - K[0]) * PPred[0][1]],
+            [PPred[1][0] - K[1] * PPred[0][0], PPred[1][1] - K[1] * PPred[0][1]]
+        ];
+        filtered[i] = { x, P };
+    }
+
+    // Rauch-Tung-Striebel backward pass
+    const smoothed = new Array(n);
+    smoothed[n - 1] = filtered[n - 1].x;
+    let PSmooth = filtered[n - 1].P;
+
+    for (let i = n - 2; i >= 0; i--) {
+        if (i > 0 && i % STEP_SIZE === 0) yield STEP_SIZE;
+
+        const { P: Pf, x: xf } = filtered[i];
+        const { P: Pp, x: xp, F } = predicted[i + 1];
+
+        // C = Pf * F^T * inverse(Pp)
+        const PfFt = [
+            [Pf[0][0] + Pf[0][1] * F[0][1], Pf[0][1]],
+            [Pf[1][0] + Pf[1][1] * F[0][1], Pf[1][1]]
+        ];
+        const det = Pp[0][0] * Pp[1][1] - Pp[0][1] * Pp[1][0];
+        if (Math.abs(det) < 1e-12) {
+            smoothed[i] = xf;
+            PSmooth = Pf;
+            continue;
+        }
+        const PpInv = [
+            [Pp[1][1] / det, -Pp[0][1] / det],
+            [-Pp[1][0] / det, Pp[0][0] / det]
+        ];
+        const C = [
+            [PfFt[0][0] * PpInv[0][0] + PfFt[0][1] * PpInv[1][0], PfFt[0][0] * PpInv[0][1] + PfFt[0][1] * PpInv[1][1]],
+            [PfFt[1][0] * PpInv[0][0] + PfFt[1][1] * PpInv[1][0], PfFt[1][0] * PpInv[0][1] + PfFt[1][1] * PpInv[1][1]]
+        ];
+
+        const next = smoothed[i + 1];
+        const dx = [next[0] - xp[0], next[1] - xp[1]];
+        smoothed[i] = [
+            xf[0] + C[0][0] * dx[0] + C[0][1] * dx[1],
+            xf[1] + C[1][0] * dx[0] + C[1][1] * dx[1]
+        ];
+
+        // Covariance is carried for completeness of the recursion
+        const dP = [
+            [PSmooth[0][0] - Pp[0][0], PSmooth[0][1] - Pp[0][1]],
+            [PSmooth[1][0] - Pp[1][0], PSmooth[1][1] - Pp[1][1]]
+        ];
+        const CdP = [
+            [C[0][0] * dP[0][0] + C[0][1] * dP[1][0], C[0][0] * dP[0][1] + C[0][1] * dP[1][1]],
+            [C[1][0] * dP[0][0] + C[1][1] * dP[1][0], C[1][0] * dP[0][1] + C[1][1] * dP[1][1]]
+        ];
+        PSmooth = [
+            [Pf[0][0] + CdP[0][0] * C[0][0] + CdP[0][1] * C[0][1], Pf[0][1] + CdP[0][0] * C[1][0] + CdP[0][1] * C[1][1]],
+            [Pf[1][0] + CdP[1][0] * C[0][0] + CdP[1][1] * C[0][1], Pf[1][1] + CdP[1][0] * C[1][0] + CdP[1][1] * C[1][1]]
+        ];
+    }
+
+    return smoothed;
+}
+
+function* smoothRun(run, settings) {
+    if (run.length < 3) return;
+
+    const projection = createProjection(run[0].geometry.coordinates);
+    const points = run.map(feature => projection.toMeters(feature.geometry.coordinates));
+    const times = run.map(feature => feature.properties.timestamp);
+    const variances = run.map(feature => {
+        const accuracy = parseFloat(feature.properties.accuracy);
+        const sigma = accuracy > 0 ? Math.max(accuracy, MIN_ACCURACY) : DEFAULT_ACCURACY;
+        return sigma * sigma;
+    });
+
+    const xs = yield* smoothAxis(points.map(p => p[0]), times, variances, settings.processNoise);
+    const ys = yield* smoothAxis(points.map(p => p[1]), times, variances, settings.processNoise);
+
+    run.forEach((feature, i) => {
+        const [lng, lat] = projection.toLngLat([xs[i][0], ys[i][0]]);
+        feature.geometry.coordinates = [lng, lat, ...feature.geometry.coordinates.slice(2)];
+        feature.properties.smoothed = true;
+    });
+}
+
+// Pipeline
+// Called from processData on sorted, track-grouped data. Always flags outliers; removes
+// them and smooths only when configured. Originals survive as properties.originalCoordinates
+// on moved points and data.properties.removedOutliers for dropped ones, so the pass can be
+// undone (restoreOriginalPoints) and re-run with different settings.
+function cleanTrackData(data, settings) {
+    return runSteps(cleanTrackDataSteps(data, settings));
+}
+
+// cleanTrackData in slices, for runStepsAsync
+function* cleanTrackDataSteps(data, settings = DEFAULT_CLEANING_SETTINGS) {
+    const options = { ...DEFAULT_CLEANING_SETTINGS, ...settings };
+    const runs = getRuns(data.features);
+
+    let checked = 0;
+    for (const run of runs) {
+        for (const done of flagOutliers(run, options)) {
+            yield { label: 'Checking for outliers', done: checked + done, total: data.features.length };
+        }
+        checked += run.length;
+    }
+
+    const removed = [];
+    if (options.removeOutliers) {
+        data.features = data.features.filter(feature => {
+            if (!feature.properties.outlier) return true;
+            removed.push(feature);
+            return false;
+        });
+    }
+
+    if (options.smoothing === 'kalman') {
+        // Each point goes through a forward and a backward pass on both axes
+        const total = data.features.length * 4;
+        let smoothed = 0;
+        for (const run of getRuns(data.features)) {
+            run.forEach(feature => {
+                feature.properties.originalCoordinates = feature.geometry.coordinates.slice();
+            });
+            for (const count of smoothRun(run, options)) {
+                smoothed += count;
+                yield { label: 'Smoothing tracks', done: smoothed, total };
+            }
+        }
+    }
+
+    // Keep per-track point counts in step with what is left
+    const counts = new Map();
+    data.features.forEach(feature => {
+        counts.set(feature.properties.trackId, (counts.get(feature.properties.trackId) || 0) + 1);
+    });
+    (data.properties?.tracks || []).forEach(track => {
+        track.pointCount = counts.get(track.id) || 0;
+    });
+
+    data.properties = {
+        ...data.properties,
+        removedOutliers: removed,
+        cleaning: {
+            outlierCount: data.features.filter(feature => feature.properties.outlier).length + removed.length,
+            removedCount: removed.length,
+            smoothing: options.smoothing
+        }
+    };
+
+    return data;
+}
+
+// Undo cleanTrackData: put removed points back and moved points where they were recorded
+function restoreOriginalPoints(data) {
+    const features = [...data.features, ...(data.properties?.removedOutliers || [])];
+
+    features.forEach(feature => {
+        if (feature.properties.originalCoordinates) {
+            feature.geometry.coordinates = feature.properties.originalCoordinates;
+            delete feature.properties.originalCoordinates;
+        }
+        delete feature.properties.smoothed;
+        delete feature.properties.outlier;
+        delete feature.properties.outlierReason;
+    });
+
+    features.sort((a, b) => a.properties.timestamp - b.properties.timestamp);
+
+    const properties = { ...data.properties };
+    delete properties.removedOutliers;
+    delete properties.cleaning;
+
+    return {
+        ...data,
+        features,
+        properties
+    };
+}
+
+// Comparison Layers
+// Original track as a dashed line plus flagged outliers, shown when settings.showOriginal is on
+function updateCleaningLayers(data, settings = DEFAULT_CLEANING_SETTINGS) {
+    if (!AppState.map) return;
+
+    const allFeatures = [...data.features, ...(data.properties?.removedOutliers || [])]
+        .sort((a, b) => a.properties.timestamp - b.properties.timestamp);
+
+    const lines = getRuns(allFeatures)
+        .filter(run => run.length > 1)
+        .map(run => ({
+            type: 'Feature',
+            geometry: {
+                type: 'LineString',
+                coordinates: run.map(feature =>
+                    (feature.properties.originalCoordinates || feature.geometry.coordinates).slice(0, 2)
+                )
+            },
+            properties: { kind: 'original' }
+        }));
+
+    const outliers = allFeatures
+        .filter(feature => feature.properties.outlier)
+        .map(feature => ({
+            type: 'Feature',
+            geometry: {
+                type: 'Point',
+                coordinates: (feature.properties.originalCoordinates || feature.geometry.coordinates).slice(0, 2)
+            },
+            properties: {
+                kind: 'outlier',
+                reason: feature.properties.outlierReason
+            }
+        }));
+
+    const collection = {
+        type: 'FeatureCollection',
+        features: [...lines, ...outliers]
+    };
+    const visibility = settings.showOriginal ? 'visible' : 'none';
+
+    const source = AppState.map.getSource('original-track');
+    if (source) {
+        source.setData(collection);
+    } else {
+        AppState.map.addSource('original-track', {
+            type: 'geojson',
+            data: collection
+        });
+
+        AppState.map.addLayer({
+            id: 'original-track-line',
+            type: 'line',
+            source: 'original-track',
+            filter: ['==', ['get', 'kind'], 'original'],
+            paint: {
+                'line-color': '#9ca3af',
+                'line-width': 2,
+                'line-opacity': 0.8,
+                'line-dasharray': [2, 2]
+            }
+        });
+
+        AppState.map.addLayer({
+            id: 'original-track-outliers',
+            type: 'circle',
+            source: 'original-track',
+            filter: ['==', ['get', 'kind'], 'outlier'],
+            paint: {
+                'circle-radius': 5,
+                'circle-color': '#f59e0b',
+                'circle-stroke-width': 1,
+                'circle-stroke-color': '#ffffff'
+            }
+        });
+    }
+
+    AppState.map.setLayoutProperty('original-track-line', 'visibility', visibility);
+    AppState.map.setLayoutProperty('original-track-outliers', 'visibility', visibility);
+}
+
+export {
+    DEFAULT_CLEANING_SETTINGS,
+    cleanTrackData,
+    cleanTrackDataSteps,
+    restoreOriginalPoints,
+    updateCleaningLayers
+};
@@ -0,0 +1,382 @@
+// track-export.js
+// Writes loaded tracks to GPX, KML (gx:Track), GeoJSON and CSV, for all tracks or the
+// selected one and an optional time range, plus the export dialog
+
+import { showNotification, downloadFile, escapeXML } from './utils.js';
+import { formatTimestamp, toZonedInputValues, fromZonedInputValues, getDisplayTimeZone } from './timestamps.js';
+import { getTracks } from './tracks.js';
+
+const CREATOR = 'Vehicle Tracking Playback';
+
+// Point properties that only make sense inside the app and are not exported
+const INTERNAL_PROPERTIES = ['elapsedTime', 'originalCoordinates'];
+
+// Optional per-point channels: property, CSV column, GPX TrackPointExtension element
+// and KML extended data name/type
+const CHANNELS = [
+    { property: 'speed', column: 'speed', gpx: 'gpxtpx:speed', kmlType: 'float', label: 'Speed (m/s)' },
+    { property: 'bearing', column: 'bearing', gpx: 'gpxtpx:course', kmlType: 'float', label: 'Bearing (°)' },
+    { property: 'accuracy', column: 'accuracy', kmlType: 'float', label: 'Accuracy (m)' },
+    { property: 'heartRate', column: 'heart_rate', gpx: 'gpxtpx:hr', kmlType: 'int', label: 'Heart rate (bpm)' },
+    { property: 'cadence', column: 'cadence', gpx: 'gpxtpx:cad', kmlType: 'int', label: 'Cadence (rpm)' },
+    { property: 'power', column: 'power', kmlType: 'int', label: 'Power (W)' }
+];
+
+// Selection
+// Tracks with their features, limited to trackIds (all when null) and [start, end] in ms.
+// Tracks with no points in the range are left out.
+function selectExportTracks(data, { trackIds = null, start = null, end = null } = {}) {
+    const inRange = timestamp =>
+        (start === null || timestamp >= start) && (end === null || timestamp <= end);
+
+    return getTracks(data)
+        .filter(track => !trackIds || trackIds.includes(track.id))
+        .map(track => ({
+            ...track,
+            features: data.features.filter(feature =>
+                feature.properties.trackId === track.id && inRange(feature.properties.timestamp)
+            )
+        }))
+        .filter(track => track.features.length > 0);
+}
+
+// Consecutive runs of a track's features that share a segment index
+function splitSegments(features) {
+    const segments = [];
+    features.forEach((feature, i) => {
+        if (i === 0 || feature.properties.segment !== features[i - 1].properties.segment) {
+            segments.push([]);
+        }
+        segments[segments.length - 1].push(feature);
+    });
+    return segments;
+}
+
+function hasValue(value) {
+    return value !== undefined && value !== null && !(typeof value === 'number' && isNaN(value));
+}
+
+function getAltitude(feature) {
+    const altitude = feature.geometry.coordinates[2] ?? feature.properties.altitude;
+    return hasValue(altitude) ? altitude : null;
+}
+
+function toISO(timestamp) {
+    return new Date(timestamp).toISOString();
+}
+
+// GPX 1.1: one <trk> per track, one <trkseg> per segment. Speed, course, heart rate and
+// cadence go in the Garmin TrackPointExtension, which the importer reads back.
+function toGPX(tracks, { name }) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<gpx version="1.1" creator="${CREATOR}" xmlns="http://www.topografix.com/GPX/1/1"` +
+            ' xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v2"' +
+            ' xmlns:gpx_style="http://www.topografix.com/GPX/gpx_style/0/2">',
+        '  <metadata>',
+        `    <name>${escapeXML(name)}</name>`,
+        `    <time>${toISO(Date.now())}</time>`,
+        '  </metadata>'
+    ];
+
+    tracks.forEach(track => {
+        lines.push('  <trk>');
+        lines.push(`    <name>${escapeXML(track.name)}</name>`);
+        if (track.deviceId) lines.push(`    <src>${escapeXML(track.deviceId)}</src>`);
+        lines.push('    <extensions>');
+        lines.push(`      <gpx_style:line><gpx_style:color>${track.color.replace('#', '').toUpperCase()}</gpx_style:color></gpx_style:line>`);
+        lines.push('    </extensions>');
+
+        splitSegments(track.features).forEach(segment => {
+            lines.push('    <trkseg>');
+            segment.forEach(feature => {
+                const [lng, lat] = feature.geometry.coordinates;
+                const altitude = getAltitude(feature);
+                lines.push(`      <trkpt lat="${lat}" lon="${lng}">`);
+                if (altitude !== null) lines.push(`        <ele>${altitude}</ele>`);
+                lines.push(`        <time>${toISO(feature.properties.timestamp)}</time>`);
+
+                const extensions = CHANNELS
+                    .filter(channel => channel.gpx && hasValue(feature.properties[channel.property]))
+                    .map(channel => `<${channel.gpx}>${feature.properties[channel.property]}</${channel.gpx}>`);
+                if (extensions.length > 0) {
+                    lines.push(`        <extensions><gpxtpx:TrackPointExtension>${extensions.join('')}</gpxtpx:TrackPointExtension></extensions>`);
+                }
+                lines.push('      </trkpt>');
+            });
+            lines.push('    </trkseg>');
+        });
+        lines.push('  </trk>');
+    });
+
+    lines.push('</gpx>');
+    return lines.join('\n');
+}
+
+// KML colors are aabbggrr
+function toKMLColor(hex, alpha = 'ff') {
+    const value = hex.replace('#', '');
+    return `${alpha}${value.slice(4, 6)}${value.slice(2, 4)}${value.slice(0, 2)}`;
+}
+
+// KML 2.2 with gx:Track: one Placemark per track holding a gx:MultiTrack with a gx:Track per
+// segment. Channels present in the data are written as gx:SimpleArrayData.
+function toKML(tracks, { name }) {
+    const allFeatures = tracks.flatMap(track => track.features);
+    const channels = CHANNELS.filter(channel =>
+        allFeatures.some(feature => hasValue(feature.properties[channel.property]))
+    );
+    const hasAltitude = allFeatures.some(feature => getAltitude(feature) !== null);
+
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">',
+        '<Document>',
+        `  <name>${escapeXML(name)}</name>`
+    ];
+
+    if (channels.length > 0) {
+        lines.push('  <Schema id="channels">');
+        channels.forEach(channel => {
+            lines.push(`    <gx:SimpleArrayField name="${channel.property}" type="${channel.kmlType}">` +
+                `<displayName>${escapeXML(channel.label)}</displayName></gx:SimpleArrayField>`);
+        });
+        lines.push('  </Schema>');
+    }
+
+    tracks.forEach((track, index) => {
+        lines.push(`  <Style id="track-${index}">`);
+        lines.push(`    <LineStyle><color>${toKMLColor(track.color)}</color><width>4</width></LineStyle>`);
+        lines.push(`    <IconStyle><color>${toKMLColor(track.color)}</color></IconStyle>`);
+        lines.push('  </Style>');
+    });
+
+    tracks.forEach((track, index) => {
+        lines.push('  <Placemark>');
+        lines.push(`    <name>${escapeXML(track.name)}</name>`);
+        lines.push(`    <styleUrl>#track-${index}</styleUrl>`);
+        if (track.deviceId) {
+            lines.push(`    <ExtendedData><Data name="deviceId"><value>${escapeXML(track.deviceId)}</value></Data></ExtendedData>`);
+        }
+        lines.push('    <gx:MultiTrack>');
+        lines.push(`      <altitudeMode>${hasAltitude ? 'absolute' : 'clampToGround'}</altitudeMode>`);
+        lines.push('      <gx:interpolate>0</gx:interpolate>');
+
+        splitSegments(track.features).forEach(segment => {
+            lines.push('      <gx:Track>');
+            segment.forEach(feature => {
+                lines.push(`        <when>${toISO(feature.properties.timestamp)}</when>`);
+            });
+            segment.forEach(feature => {
+                const [lng, lat] = feature.geometry.coordinates;
+                lines.push(`        <gx:coord>${lng} ${lat} ${getAltitude(feature) ?? 0}</gx:coord>`);
+            });
+            segment.forEach(feature => {
+                lines.push(`        <gx:angles>${feature.properties.bearing ?? 0} 0 0</gx:angles>`);
+            });
+
+            if (channels.length > 0) {
+                lines.push('        <ExtendedData><SchemaData schemaUrl="#channels">');
+                channels.forEach(channel => {
+                    lines.push(`          <gx:SimpleArrayData name="${channel.property}">`);
+                    segment.forEach(feature => {
+                        const value = feature.properties[channel.property];
+                        lines.push(`            <gx:value>${hasValue(value) ? value : ''}</gx:value>`);
+                    });
+                    lines.push('          </gx:SimpleArrayData>');
+                });
+                lines.push('        </SchemaData></ExtendedData>');
+            }
+            lines.push('      </gx:Track>');
+        });
+
+        lines.push('    </gx:MultiTrack>');
+        lines.push('  </Placemark>');
+    });
+
+    lines.push('</Document>');
+    lines.push('</kml>');
+    return lines.join('\n');
+}
+
+// GeoJSON: the points with their properties and an ISO time; track metadata rides along
+// on the collection. As in CSV, deviceId holds the track name for re-import.
+function toGeoJSON(tracks, { name }) {
+    const features = tracks.flatMap(track => track.features.map(feature => {
+        const properties = { ...feature.properties };
+        INTERNAL_PROPERTIES.forEach(property => delete properties[property]);
+        return {
+            type: 'Feature',
+            geometry: {
+                type: 'Point',
+                coordinates: feature.geometry.coordinates
+            },
+            properties: {
+                ...properties,
+                time: toISO(feature.properties.timestamp),
+                deviceId: track.name
+            }
+        };
+    }));
+
+    return JSON.stringify({
+        type: 'FeatureCollection',
+        properties: {
+            name: name,
+            exportedAt: new Date().toISOString(),
+            tracks: tracks.map(({ features: trackFeatures, ...track }) => ({
+                ...track,
+                pointCount: trackFeatures.length
+            }))
+        },
+        features: features
+    }, null, 2);
+}
+
+// CSV with the importer's standard column names, so it loads back without the mapping
+// dialog. device_id holds the track name to keep tracks apart on re-import, and segment
+// keeps the breaks within a track. Heart rate, cadence and power are written for other
+// tools; the importer does not read them back.
+function toCSV(tracks) {
+    const escape = value => {
+        const text = hasValue(value) ? String(value) : '';
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const header = ['timestamp', 'latitude', 'longitude', 'altitude', 'device_id', 'segment',
+        ...CHANNELS.map(channel => channel.column)];
+    const rows = [header];
+
+    tracks.forEach(track => {
+        track.features.forEach(feature => {
+            const [lng, lat] = feature.geometry.coordinates;
+            rows.push([
+                toISO(feature.properties.timestamp),
+                lat,
+                lng,
+                getAltitude(feature),
+                track.name,
+                feature.properties.segment,
+                ...CHANNELS.map(channel => feature.properties[channel.property])
+            ]);
+        });
+    });
+
+    return rows.map(row => row.map(escape).join(',')).join('\n');
+}
+
+const EXPORT_FORMATS = {
+    gpx: { extension: 'gpx', mimeType: 'application/gpx+xml', serialize: toGPX },
+    kml: { extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml', serialize: toKML },
+    geojson: { extension: 'geojson', mimeType: 'application/geo+json', serialize: toGeoJSON },
+    csv: { extension: 'csv', mimeType: 'text/csv', serialize: toCSV }
+};
+
+// Returns { content, filename, mimeType, pointCount }, or null when nothing is selected
+function exportTracks(data, format, options = {}) {
+    const definition = EXPORT_FORMATS[format];
+    if (!definition) throw new Error(`Unknown export format: ${format}`);
+
+    const tracks = selectExportTracks(data, options);
+    if (tracks.length === 0) return null;
+
+    const baseName = (data.properties?.filename || data.properties?.name || 'tracks')
+        .replace(/\.[^.]+$/, '')
+        .replace(/[^\w.-]+/g, '_');
+    const name = tracks.length === 1 ? tracks[0].name : baseName;
+    const suffix = tracks.length === 1 && getTracks(data).length > 1 ?
+        `-${tracks[0].name.replace(/[^\w.-]+/g, '_')}` : '';
+
+    return {
+        content: definition.serialize(tracks, { name }),
+        filename: `${baseName}${suffix}.${definition.extension}`,
+        mimeType: definition.mimeType,
+        pointCount: tracks.reduce((sum, track) => sum + track.features.length, 0)
+    };
+}
+
+// Export Dialog
+function showExportModal() {
+    const data = AppState.data;
+    if (!data || data.features.length === 0) {
+        showNotification('Load a track or plan a route before exporting', 'error');
+        return;
+    }
+
+    const modal = document.getElementById('exportModal');
+    const rangeInputs = document.getElementById('exportRangeInputs');
+    const customRange = document.getElementById('exportRangeCustom');
+
+    // Range defaults to the whole recording, shown in the display time zone
+    const first = toZonedInputValues(data.features[0].properties.timestamp);
+    const last = toZonedInputValues(data.features[data.features.length - 1].properties.timestamp);
+    document.getElementById('exportStartDate').value = first.date;
+    document.getElementById('exportStartTime').value = first.time;
+    document.getElementById('exportEndDate').value = last.date;
+    document.getElementById('exportEndTime').value = last.time;
+    document.querySelectorAll('.export-zone-label').forEach(label => {
+        label.textContent = getDisplayTimeZone();
+    });
+
+    document.getElementById('exportTracksAll').checked = true;
+    document.getElementById('exportRangeAll').checked = true;
+    rangeInputs.style.display = 'none';
+    document.querySelectorAll('input[name="exportRange"]').forEach(radio => {
+        radio.onchange = () => {
+            rangeInputs.style.display = customRange.checked ? 'grid' : 'none';
+        };
+    });
+
+    const close = () => {
+        modal.style.display = 'none';
+    };
+    document.getElementById('closeExportModal').onclick = close;
+    document.getElementById('cancelExportButton').onclick = close;
+
+    document.getElementById('confirmExportButton').onclick = () => {
+        const options = {};
+        if (document.getElementById('exportTracksSelected').checked) {
+            options.trackIds = [AppState.selectedTrackId];
+        }
+        if (customRange.checked) {
+            options.start = fromZonedInputValues(
+                document.getElementById('exportStartDate').value,
+                document.getElementById('exportStartTime').value
+            );
+            options.end = fromZonedInputValues(
+                document.getElementById('exportEndDate').value,
+                document.getElementById('exportEndTime').value
+            );
+            if (isNaN(options.start) || isNaN(options.end) || options.end < options.start) {
+                showNotification('Enter a valid time range', 'error');
+                return;
+            }
+        }
+
+        try {
+            const result = exportTracks(data, document.getElementById('exportFormat').value, options);
+            if (!result) {
+                showNotification('No points in the selected tracks and time range', 'error');
+                return;
+            }
+            downloadFile(result.content, result.filename, result.mimeType);
+            showNotification(`Exported ${result.pointCount.toLocaleString()} points to ${result.filename}`, 'info');
+            close();
+        } catch (error) {
+            console.error('Error exporting tracks:', error);
+            showNotification('Error exporting tracks: ' + error.message, 'error');
+        }
+    };
+
+    document.getElementById('exportRangeSummary').textContent =
+        `${formatTimestamp(data.features[0].properties.timestamp)} – ` +
+        `${formatTimestamp(data.features[data.features.length - 1].properties.timestamp)}`;
+
+    modal.style.display = 'flex';
+}
+
+export {
+    EXPORT_FORMATS,
+    exportTracks,
+    showExportModal
+};
@@ -0,0 +1,317 @@
+// tracks.js
+// Track grouping by device identifier, per-track colors, map line layer and legend
+
+import { STEP_SIZE, runSteps } from './utils.js';
+
+// Distinct, high-contrast colors on satellite imagery; reused in order when exhausted
+const TRACK_COLORS = [
+    '#3b82f6', '#ef4444', '#22c55e', '#f59e0b', '#a855f7',
+    '#06b6d4', '#ec4899', '#84cc16', '#f97316', '#14b8a6'
+];
+
+const DEFAULT_TRACK_ID = 'track-1';
+
+function getTrackColor(index) {
+    return TRACK_COLORS[index % TRACK_COLORS.length];
+}
+
+// Split a collection into tracks by properties.deviceId. Every feature gets a trackId and
+// data.properties.tracks lists the tracks in order of first appearance. Features without
+// an identifier share one default track, so single-vehicle files behave as before.
+// Features already assigned to a track listed in data.properties.tracks keep it, so
+// regrouping appended or renamed data leaves existing tracks alone.
+function groupTracks(data) {
+    return runSteps(groupTracksSteps(data));
+}
+
+// groupTracks in slices, for runStepsAsync
+function* groupTracksSteps(data) {
+    const known = new Map(getTracks(data).map(track => [track.id, { ...track, pointCount: 0 }]));
+    const tracks = new Map();
+    const defaultName = data.properties?.name || 'Imported Track';
+    const features = data.features;
+
+    for (let i = 0; i < features.length; i++) {
+        if (i % STEP_SIZE === 0) yield { label: 'Grouping tracks', done: i, total: features.length };
+
+        const feature = features[i];
+        const knownTrack = known.get(feature.properties.trackId);
+        if (knownTrack) {
+            knownTrack.pointCount++;
+            continue;
+        }
+
+        const deviceId = feature.properties.deviceId;
+        const hasDevice = deviceId !== undefined && deviceId !== null && String(deviceId).trim() !== '';
+        const key = hasDevice ? String(deviceId).trim() : null;
+
+        if (!tracks.has(key)) {
+            const index = known.size + tracks.size;
+            tracks.set(key, {
+                id: getUniqueTrackId(key === null ? DEFAULT_TRACK_ID : `device:${key}`, known),
+                name: key === null ? defaultName : key,
+                deviceId: key ?? undefined,
+                color: getTrackColor(index),
+                pointCount: 0
+            });
+        }
+
+        const track = tracks.get(key);
+        track.pointCount++;
+        feature.properties.trackId = track.id;
+    }
+
+    data.properties = {
+        ...data.properties,
+        tracks: [
+            ...Array.from(known.values()).filter(track => track.pointCount > 0),
+            ...tracks.values()
+        ]
+    };
+    return data;
+}
+
+function getUniqueTrackId(baseId, existing) {
+    if (!existing.has(baseId)) return baseId;
+    let suffix = 2;
+    while (existing.has(`${baseId}-${suffix}`)) suffix++;
+    return `${baseId}-${suffix}`;
+}
+
+// Add an imported collection to loaded data as tracks of its own. Ids and colors continue
+// after the existing tracks; a file without device ids is named after the file.
+function appendTracks(data, incoming) {
+    const existing = new Map(getTracks(data).map(track => [track.id, track]));
+
+    const named = {
+        ...incoming,
+        properties: {
+            ...incoming.properties,
+            name: incoming.properties?.name || incoming.properties?.filename?.replace(/\.[^.]+$/, ''),
+            tracks: []
+        }
+    };
+    groupTracks(named);
+
+    const idMap = new Map();
+    const added = named.properties.tracks.map(track => {
+        const id = getUniqueTrackId(track.id, existing);
+        const renamed = { ...track, id, color: getTrackColor(existing.size) };
+        existing.set(id, renamed);
+        idMap.set(track.id, id);
+        return renamed;
+    });
+    named.features.forEach(feature => {
+        feature.properties.trackId = idMap.get(feature.properties.trackId);
+    });
+    incoming.properties = { ...incoming.properties, tracks: added };
+
+    return {
+        ...data,
+        features: [...data.features, ...named.features],
+        properties: {
+            ...data.properties,
+            tracks: [...getTracks(data), ...added]
+        }
+    };
+}
+
+// Add an imported collection's points to one existing track, skipping points whose
+// timestamp the track already has. Device ids in the incoming file are ignored. When the
+// incoming points all come after the track's end, their segments are numbered after the
+// track's own, so the join between the two recordings is a segment break rather than a
+// jump inside one segment. Overlapping recordings interleave once sorted by time, so
+// their segment numbers are kept and the points are drawn as one line.
+function mergeIntoTrack(data, incoming, trackId) {
+    const timestamps = new Set();
+    let lastSegment = 0;
+    let lastTimestamp = -Infinity;
+    data.features.forEach(feature => {
+        if (feature.properties.trackId !== trackId) return;
+        timestamps.add(feature.properties.timestamp);
+        lastSegment = Math.max(lastSegment, Number(feature.properties.segment) || 0);
+        lastTimestamp = Math.max(lastTimestamp, feature.properties.timestamp);
+    });
+
+    let duplicates = 0;
+    const added = incoming.features.filter(feature => {
+        if (timestamps.has(feature.properties.timestamp)) {
+            duplicates++;
+            return false;
+        }
+        timestamps.add(feature.properties.timestamp);
+        feature.properties.trackId = trackId;
+        return true;
+    });
+
+    const appended = added.every(feature => feature.properties.timestamp > lastTimestamp);
+    if (appended) {
+        added.forEach(feature => {
+            feature.properties.segment = lastSegment + 1 + (Number(feature.properties.segment) || 0);
+        });
+    }
+
+    return {
+        data: {
+            ...data,
+            features: [...data.features, ...added]
+        },
+        added: added.length,
+        duplicates
+    };
+}
+
+function removeTrack(data, trackId) {
+    return {
+        ...data,
+        features: data.features.filter(feature => feature.properties.trackId !== trackId),
+        properties: {
+            ...data.properties,
+            tracks: getTracks(data).filter(track => track.id !== trackId)
+        }
+    };
+}
+
+function renameTrack(data, trackId, name) {
+    const track = getTrack(data, trackId);
+    const trimmed = name.trim();
+    if (!track || trimmed === '') return false;
+    track.name = trimmed;
+    return true;
+}
+
+function getTracks(data) {
+    return data?.properties?.tracks || [];
+}
+
+function getTrack(data, trackId) {
+    return getTracks(data).find(track => track.id === trackId) || null;
+}
+
+// Features of one track as their own collection, in the (already sorted) data order
+function getTrackCollection(data, trackId) {
+    return {
+        type: 'FeatureCollection',
+        features: data.features.filter(feature => feature.properties.trackId === trackId),
+        properties: {
+            ...data.properties,
+            track: getTrack(data, trackId)
+        }
+    };
+}
+
+// Track Lines Layer
+// One LineString per track segment, colored by track
+function buildTrackLines(data) {
+    const colors = new Map(getTracks(data).map(track => [track.id, track.color]));
+    const lines = new Map();
+
+    data.features.forEach(feature => {
+        const key = `${feature.properties.trackId}|${feature.properties.segment ?? ''}`;
+        if (!lines.has(key)) {
+            lines.set(key, {
+                trackId: feature.properties.trackId,
+                coordinates: []
+            });
+        }
+        lines.get(key).coordinates.push(feature.geometry.coordinates);
+    });
+
+    return {
+        type: 'FeatureCollection',
+        features: Array.from(lines.values())
+            .filter(line => line.coordinates.length > 1)
+            .map(line => ({
+                type: 'Feature',
+                geometry: {
+                    type: 'LineString',
+                    coordinates: line.coordinates
+                },
+                properties: {
+                    trackId: line.trackId,
+                    color: colors.get(line.trackId) || TRACK_COLORS[0]
+                }
+            }))
+    };
+}
+
+function updateTrackLinesLayer(data) {
+    if (!AppState.map) return;
+
+    const collection = buildTrackLines(data);
+
+    const source = AppState.map.getSource('track-lines');
+    if (source) {
+        source.setData(collection);
+        return;
+    }
+
+    AppState.map.addSource('track-lines', {
+        type: 'geojson',
+        data: collection
+    });
+
+    // Keep the lines beneath the vehicle markers
+    const beforeLayer = ['vehicle-webgl-halo', 'vehicle-webgl'].find(id => AppState.map.getLayer(id));
+    AppState.map.addLayer({
+        id: 'track-lines',
+        type: 'line',
+        source: 'track-lines',
+        layout: {
+            'line-join': 'round',
+            'line-cap': 'round'
+        },
+        paint: {
+            'line-color': ['get', 'color'],
+            'line-width': 3,
+            'line-opacity': 0.8
+        }
+    }, beforeLayer);
+}
+
+// Legend
+function updateTrackLegend(data, selectedTrackId, onSelect) {
+    const legend = document.getElementById('trackLegend');
+    if (!legend) return;
+
+    const tracks = getTracks(data);
+    legend.innerHTML = '';
+    legend.style.display = tracks.length > 0 ? 'block' : 'none';
+
+    tracks.forEach(track => {
+        const item = document.createElement('div');
+        item.className = 'legend-item';
+        item.classList.toggle('active', track.id === selectedTrackId);
+        item.title = `${track.pointCount} points`;
+
+        const swatch = document.createElement('span');
+        swatch.className = 'legend-swatch';
+        swatch.style.background = track.color;
+
+        const label = document.createElement('span');
+        label.textContent = track.name;
+
+        item.appendChild(swatch);
+        item.appendChild(label);
+        if (onSelect) {
+            item.addEventListener('click', () => onSelect(track.id));
+        }
+        legend.appendChild(item);
+    });
+}
+
+export {
+    TRACK_COLORS,
+    getTrackColor,
+    groupTracks,
+    groupTracksSteps,
+    appendTracks,
+    mergeIntoTrack,
+    removeTrack,
+    renameTrack,
+    getTracks,
+    getTrack,
+    getTrackCollection,
+    updateTrackLinesLayer,
+    updateTrackLegend
+};
@@ -0,0 +1,224 @@
+// trip-segmentation.js
+// Splits each track into trips, stops (dwell within a radius) and data gaps for the timeline
+
+import { STEP_SIZE, runSteps } from './utils.js';
+
+// Thresholds
+const STOP_RADIUS = 50;             // m; movement within this radius counts as standing still
+const MIN_STOP_DURATION = 3 * 60;   // s
+const MAX_GAP = 5 * 60;             // s; longer silences while moving end the trip
+
+function distanceBetween(a, b) {
+    return turf.distance(
+        turf.point(a.geometry.coordinates),
+        turf.point(b.geometry.coordinates),
+        { units: 'meters' }
+    );
+}
+
+function pathLength(features, start, end) {
+    let meters = 0;
+    for (let i = start + 1; i <= end; i++) {
+        meters += distanceBetween(features[i - 1], features[i]);
+    }
+    return meters;
+}
+
+// Stops
+// Staypoint detection: from each point, extend while later points stay within the radius
+// of it. A long enough run is a stop. A run may span a gap, since a device that is off
+// while parked shows up as a silence with both ends in the same place.
+// Yields the number of points scanned so far.
+function* findStops(features) {
+    const stops = [];
+    let i = 0;
+    let nextYield = 0;
+
+    while (i < features.length) {
+        if (i >= nextYield) {
+            yield i;
+            nextYield = i + STEP_SIZE;
+        }
+
+        let j = i + 1;
+        while (j < features.length && distanceBetween(features[i], features[j]) <= STOP_RADIUS) {
+            j++;
+        }
+
+        const duration = (features[j - 1].properties.timestamp - features[i].properties.timestamp) / 1000;
+        if (duration >= MIN_STOP_DURATION) {
+            stops.push({ start: i, end: j - 1 });
+            i = j;
+        } else {
+            i++;
+        }
+    }
+
+    return stops;
+}
+
+// Moving stretches between stops, split where the data goes quiet or a new segment starts
+function splitMoving(features, start, end) {
+    const pieces = [];
+    let pieceStart = start;
+
+    for (let i = start + 1; i <= end; i++) {
+        const seconds = (features[i].properties.timestamp - features[i - 1].properties.timestamp) / 1000;
+        const newSegment = features[i].properties.segment !== features[i - 1].properties.segment;
+        if (seconds > MAX_GAP || newSegment) {
+            pieces.push({ start: pieceStart, end: i - 1, gapAfter: true });
+            pieceStart = i;
+        }
+    }
+    pieces.push({ start: pieceStart, end, gapAfter: false });
+
+    return pieces;
+}
+
+// Annotations carried by imported points: a named place for stops (Takeout place
+// visits) and the most common activity type for trips
+function findPlace(features, start, end) {
+    for (let i = start; i <= end; i++) {
+        const { place, placeAddress } = features[i].properties;
+        if (place) return { name: place, address: placeAddress };
+    }
+    return null;
+}
+
+function findActivity(features, start, end) {
+    const counts = new Map();
+    for (let i = start; i <= end; i++) {
+        const activity = features[i].properties.activityType;
+        if (activity && activity !== 'STILL') counts.set(activity, (counts.get(activity) || 0) + 1);
+    }
+    let best = null;
+    counts.forEach((count, activity) => {
+        if (!best || count > counts.get(best)) best = activity;
+    });
+    return best;
+}
+
+function createEntry(type, features, start, end, trackId) {
+    const first = features[start];
+    const last = features[end];
+    const entry = {
+        type,
+        trackId,
+        startTime: first.properties.timestamp,
+        endTime: last.properties.timestamp,
+        duration: (last.properties.timestamp - first.properties.timestamp) / 1000,
+        distance: type === 'trip' ? pathLength(features, start, end) : 0,
+        pointCount: end - start + 1,
+        coordinates: first.geometry.coordinates.slice(0, 2)
+    };
+
+    if (type === 'stop') {
+        const place = findPlace(features, start, end);
+        if (place) entry.place = place;
+    } else {
+        const activity = findActivity(features, start, end);
+        if (activity) entry.activityType = activity;
+    }
+
+    return entry;
+}
+
+// Segmentation
+// Features of one track, sorted by time. Returns trip, stop and gap entries in time order.
+// Yields the number of points scanned so far, once while finding stops and again while
+// measuring the trips between them.
+function* segmentTrack(features, trackId) {
+    if (features.length === 0) return [];
+
+    const entries = [];
+    const addMoving = (start, end) => {
+        if (end < start) return;
+        splitMoving(features, start, end).forEach(piece => {
+            // A lone point between a stop and a gap is not a trip
+            if (piece.end > piece.start) {
+                entries.push(createEntry('trip', features, piece.start, piece.end, trackId));
+            }
+            if (piece.gapAfter) {
+                const gapStart = features[piece.end].properties.timestamp;
+                const gapEnd = features[piece.end + 1].properties.timestamp;
+                entries.push({
+                    type: 'gap',
+                    trackId,
+                    startTime: gapStart,
+                    endTime: gapEnd,
+                    duration: (gapEnd - gapStart) / 1000,
+                    distance: distanceBetween(features[piece.end], features[piece.end + 1]),
+                    pointCount: 0,
+                    coordinates: features[piece.end].geometry.coordinates.slice(0, 2)
+                });
+            }
+        });
+    };
+
+    const stops = yield* findStops(features);
+
+    let cursor = 0;
+    for (const stop of stops) {
+        yield features.length + cursor;
+
+        // The trip into a stop ends at the stop's first point, the next one starts at its last
+        addMoving(cursor, stop.start);
+        entries.push(createEntry('stop', features, stop.start, stop.end, trackId));
+        cursor = stop.end;
+    }
+    addMoving(cursor, features.length - 1);
+
+    // Number the trips per track
+    let tripNumber = 0;
+    entries.forEach(entry => {
+        if (entry.type === 'trip') entry.number = ++tripNumber;
+    });
+
+    return entries;
+}
+
+// Segment every track of processed data into data.properties.trips
+function segmentTrips(data) {
+    return runSteps(segmentTripsSteps(data));
+}
+
+// segmentTrips in slices, for runStepsAsync
+function* segmentTripsSteps(data) {
+    const byTrack = new Map();
+    data.features.forEach(feature => {
+        const trackId = feature.properties.trackId;
+        if (!byTrack.has(trackId)) byTrack.set(trackId, []);
+        byTrack.get(trackId).push(feature);
+    });
+
+    // Each track is scanned twice (see segmentTrack)
+    const total = data.features.length * 2;
+    let scanned = 0;
+    let trips = [];
+    for (const [trackId, features] of byTrack) {
+        const steps = segmentTrack(features, trackId);
+        let result = steps.next();
+        while (!result.done) {
+            yield { label: 'Finding trips and stops', done: scanned + result.value, total };
+            result = steps.next();
+        }
+        trips = trips.concat(result.value);
+        scanned += features.length * 2;
+    }
+
+    data.properties = {
+        ...data.properties,
+        trips
+    };
+    return data;
+}
+
+function getTrackTrips(data, trackId) {
+    return (data?.properties?.trips || []).filter(entry => entry.trackId === trackId);
+}
+
+export {
+    segmentTrips,
+    segmentTripsSteps,
+    getTrackTrips
+};
@@ -16,16 +16,18 @@ class UnifiedAnimationController {
             lastFrameTime: 0
         };
 
-        // Track data
+        // Track data. All tracks share one playback clock measured from the earliest
+        // timestamp across them (timeRange.start).
         this.trackData = {
             features: [],
+            tracks: [],             // [{ id, color, features }], each sorted by timestamp
+            followedTrackId: null,  // vehicle the camera follows and debug output describes
             currentIndex: 0,
             timeRange: { start: 0, end: 0 }
         };
 
-        // Camera state
+        // Camera state; whether it is locked to the followed vehicle is kept in the store
         this.camera = {
-            isLocked: false,
             offset: { x: 0, y: 0, zoom: 0 },
             dampingRatio: 0.6
         };
@@ -38,6 +40,12 @@ class UnifiedAnimationController {
             frameTimes: []
         };
 
+        // Frame stepping (video export): worker requests are numbered so a stepped frame
+        // can wait for the reply to its own request
+        this.frameStepping = false;
+        this.requestCounter = 0;
+        this.pendingFrame = null;
+
         // Bind methods
         this.animate = this.animate.bind(this);
         this.updatePosition = this.updatePosition.bind(this);
@@ -130,13 +138,21 @@ class UnifiedAnimationController {
         }
 
         this.trackData.features = data.features;
+        this.trackData.tracks = this.groupFeaturesByTrack(data);
         
-        // Calculate time range
-        const timestamps = this.trackData.features.map(f => f.properties.timestamp);
-        this.trackData.timeRange = {
-            start: Math.min(...timestamps),
-            end: Math.max(...timestamps)
-        };
+        if (!this.trackData.tracks.some(track => track.id === this.trackData.followedTrackId)) {
+            this.trackData.followedTrackId = this.trackData.tracks[0].id;
+        }
+        
+        // Calculate time range (min/max over a loop; spreading into Math.min overflows the
+        // stack on large tracks)
+        let start = Infinity;
+        let end = -Infinity;
+        this.trackData.features.forEach(f => {
+            start = Math.min(start, f.properties.timestamp);
+            end = Math.max(end, f.properties.timestamp);
+        });
+        this.trackData.timeRange = { start, end };
         
         this.state.duration = (this.trackData.timeRange.end - 
                              this.trackData.timeRange.start) / 1000;
@@ -147,10 +163,51 @@ class UnifiedAnimationController {
         
         // Update initial position
         this.updatePosition(0);
+        this.notifyStateChange();
         
         return true;
     }
 
+    clearTrackData() {
+        this.pause();
+        this.trackData.features = [];
+        this.trackData.tracks = [];
+        this.trackData.timeRange = { start: 0, end: 0 };
+        this.state.currentTime = 0;
+        this.state.duration = 0;
+        this.notifyStateChange();
+    }
+
+    // Split features by properties.trackId; features without one form a single track
+    groupFeaturesByTrack(data) {
+        const colors = new Map((data.properties?.tracks || []).map(track => [track.id, track.color]));
+        const tracks = new Map();
+        
+        data.features.forEach(feature => {
+            const id = feature.properties.trackId ?? 'default';
+            if (!tracks.has(id)) {
+                tracks.set(id, {
+                    id: id,
+                    color: colors.get(id) || '#3b82f6',
+                    features: []
+                });
+            }
+            tracks.get(id).features.push(feature);
+        });
+        
+        tracks.forEach(track => {
+            track.features.sort((a, b) => a.properties.timestamp - b.properties.timestamp);
+        });
+        
+        return Array.from(tracks.values());
+    }
+
+    setFollowedTrack(trackId) {
+        if (!this.trackData.tracks.some(track => track.id === trackId)) return;
+        this.trackData.followedTrackId = trackId;
+        this.updatePosition(this.state.currentTime);
+    }
+
     play() {
         if (!this.trackData.features.length) return;
 
@@ -178,6 +235,7 @@ class UnifiedAnimationController {
 
     setSpeed(speed) {
         this.state.speed = speed;
+        this.notifyStateChange();
     }
 
     seekTo(time) {
@@ -188,13 +246,47 @@ class UnifiedAnimationController {
         this.notifyStateChange();
     }
 
+    // Frame Stepping
+    // For video export: stop wall-clock playback and hold rendering quality fixed, so each
+    // frame depends only on the time it is rendered at
+    beginFrameStepping() {
+        this.pause();
+        this.frameStepping = true;
+        this.webglLayer.adjustQuality('high');
+    }
+
+    endFrameStepping() {
+        this.frameStepping = false;
+        if (this.pendingFrame) {
+            this.pendingFrame.resolve();
+            this.pendingFrame = null;
+        }
+    }
+
+    // Position every vehicle (and the locked camera) at playback time `time` in seconds.
+    // Resolves once the worker's result has been applied to the map.
+    renderFrame(time) {
+        if (!this.trackData.tracks.length) return Promise.resolve();
+        
+        this.state.currentTime = Math.max(0, Math.min(time, this.state.duration));
+        return new Promise(resolve => {
+            this.pendingFrame = { requestId: this.requestCounter + 1, resolve };
+            this.updatePosition(this.state.currentTime);
+            this.notifyStateChange();
+        });
+    }
+
+    get isCameraLocked() {
+        return window.AppState?.camera.isLocked ?? false;
+    }
+
     toggleCameraLock() {
-        this.camera.isLocked = !this.camera.isLocked;
+        window.AppState?.setState('camera', { isLocked: !this.isCameraLocked });
         
         // Debug information for camera lock
-        console.log(`Camera lock ${this.camera.isLocked ? 'enabled' : 'disabled'}`);
+        console.log(`Camera lock ${this.isCameraLocked ? 'enabled' : 'disabled'}`);
         
-        if (this.camera.isLocked) {
+        if (this.isCameraLocked) {
             this.updateCameraOffset();
             console.log('Camera offset updated:', this.camera.offset);
             
@@ -208,7 +300,7 @@ class UnifiedAnimationController {
                     cameraDebugInfo.style.paddingTop = '8px';
                     cameraDebugInfo.innerHTML = `
                         <div><strong>Camera Lock Debug:</strong></div>
-                        <div>Lock Status: ${this.camera.isLocked ? 'Locked' : 'Unlocked'}</div>
+                        <div>Lock Status: ${this.isCameraLocked ? 'Locked' : 'Unlocked'}</div>
                         <div>Offset X: ${this.camera.offset?.x?.toFixed(6) || 'N/A'}</div>
                         <div>Offset Y: ${this.camera.offset?.y?.toFixed(6) || 'N/A'}</div>
                         <div>Zoom: ${this.camera.offset?.zoom?.toFixed(2) || 'N/A'}</div>
@@ -219,7 +311,7 @@ class UnifiedAnimationController {
             }
         }
         
-        return this.camera.isLocked; // Return current state
+        return this.isCameraLocked; // Return current state
     }
 
     animate(timestamp) {
@@ -253,6 +345,7 @@ class UnifiedAnimationController {
 
         // Update position
         this.updatePosition(this.state.currentTime);
+        this.notifyStateChange();
 
         // Monitor performance
         this.updatePerformance(timestamp);
@@ -263,29 +356,27 @@ class UnifiedAnimationController {
 
     updatePosition(time) {
         // Check if we have valid track data
-        if (!this.trackData || !this.trackData.features || this.trackData.features.length === 0) {
+        if (!this.trackData || !this.trackData.tracks || this.trackData.tracks.length === 0) {
             console.warn('No valid track data available for position update');
             return;
         }
         
-        // Find appropriate track points
+        // Sample every track at the same absolute time
         const targetTime = this.trackData.timeRange.start + (time * 1000);
-        let nextIndex = this.trackData.features.findIndex(
-            f => f.properties.timestamp > targetTime
-        );
-
-        if (nextIndex === -1) {
-            nextIndex = this.trackData.features.length;
-        }
-        const prevIndex = Math.max(0, nextIndex - 1);
-
+        const samples = this.trackData.tracks
+            .map(track => this.sampleTrack(track, targetTime))
+            .filter(Boolean);
+        
         // Calculate time since last position update
         const now = performance.now();
         const timeSinceLastUpdate = now - (this.debugState?.lastPositionUpdate || 0);
         this.debugState.lastPositionUpdate = now;
         
+        // Debug output describes the followed vehicle
+        const followed = samples.find(sample => sample.trackId === this.trackData.followedTrackId);
+        
         // Debug position updates
-        if (document.getElementById('positionDebug')) {
+        if (followed && document.getElementById('positionDebug')) {
             // Add this update to history
             if (this.debugState.positionUpdates.length >= this.debugState.maxEntries) {
                 this.debugState.positionUpdates.shift();
@@ -293,14 +384,14 @@ class UnifiedAnimationController {
             
             this.debugState.positionUpdates.push({
                 time: time.toFixed(2),
-                prevIndex,
-                nextIndex,
-                totalPoints: this.trackData.features.length,
+                prevIndex: followed.prevIndex,
+                nextIndex: followed.nextIndex,
+                totalPoints: followed.totalPoints,
                 updateInterval: timeSinceLastUpdate.toFixed(0)
             });
             
             // Display current position debug info
-            let positionHtml = '';
+            let positionHtml = `<div>Vehicles on screen: ${samples.length} of ${this.trackData.tracks.length}</div>`;
             this.debugState.positionUpdates.forEach((update, i) => {
                 positionHtml += `
                     <div style="margin-bottom: 5px; ${i === this.debugState.positionUpdates.length - 1 ? 'font-weight: bold;' : ''}">
@@ -312,67 +403,115 @@ class UnifiedAnimationController {
             });
             
             document.getElementById('positionDebug').innerHTML = positionHtml;
+            
+            // Add more debug info about interpolation
+            const { prev, next, t } = followed;
+            const additionalInfo = document.createElement('div');
+            additionalInfo.innerHTML = `
+                <div style="margin-top: 5px; border-top: 1px solid #555; padding-top: 5px;">
+                    <div>Interpolation factor (t): ${t.toFixed(4)}</div>
+                    <div>Point time gap: ${((next.properties.timestamp - prev.properties.timestamp)/1000).toFixed(2)}s</div>
+                    <div>Prev point: [${prev.geometry.coordinates.map(c => c.toFixed(6)).join(', ')}]</div>
+                    <div>Next point: [${next.geometry.coordinates.map(c => c.toFixed(6)).join(', ')}]</div>
+                    <div>Bearing change: ${(next.properties.bearing - prev.properties.bearing).toFixed(2)}°</div>
+                </div>
+            `;
+            document.getElementById('positionDebug').appendChild(additionalInfo);
         }
 
-        // Add null checks before accessing properties
-        const prev = this.trackData.features[prevIndex];
-        if (!prev || !prev.properties) {
-            console.warn('Previous track point is invalid');
-            return;
-        }
-        
-        const next = this.trackData.features[nextIndex] || prev;
-        if (!next || !next.properties) {
-            console.warn('Next track point is invalid');
-            return;
-        }
-
-        // Calculate interpolation factor
-        const prevTime = prev.properties.timestamp;
-        const nextTime = next.properties.timestamp;
-        const t = prevTime === nextTime ? 0 : 
-                 (targetTime - prevTime) / (nextTime - prevTime);
-        
-        // Add more debug info about interpolation
-        if (document.getElementById('positionDebug')) {
-            const lastUpdate = this.debugState.positionUpdates[this.debugState.positionUpdates.length - 1];
-            if (lastUpdate) {
-                const additionalInfo = document.createElement('div');
-                additionalInfo.innerHTML = `
-                    <div style="margin-top: 5px; border-top: 1px solid #555; padding-top: 5px;">
-                        <div>Interpolation factor (t): ${t.toFixed(4)}</div>
-                        <div>Point time gap: ${((nextTime - prevTime)/1000).toFixed(2)}s</div>
-                        <div>Prev point: [${prev.geometry.coordinates.map(c => c.toFixed(6)).join(', ')}]</div>
-                        <div>Next point: [${next.geometry.coordinates.map(c => c.toFixed(6)).join(', ')}]</div>
-                        <div>Bearing change: ${(next.properties.bearing - prev.properties.bearing).toFixed(2)}°</div>
-                    </div>
-                `;
-                document.getElementById('positionDebug').appendChild(additionalInfo);
-            }
-        }
-
-        // Send position data to worker
+        // Send all vehicle positions to the worker in one message
         this.positionWorker.postMessage({
-            position: {
+            requestId: ++this.requestCounter,
+            positions: samples.map(({ prev, next, t, trackId, color, active }) => ({
+                trackId: trackId,
+                color: color,
+                active: active,
                 lng: prev.geometry.coordinates[0],
                 lat: prev.geometry.coordinates[1],
                 bearing: prev.properties.bearing,
+                speed: prev.properties.speed,
                 t: t,
                 targetLng: next.geometry.coordinates[0],
                 targetLat: next.geometry.coordinates[1],
                 targetBearing: next.properties.bearing
-            },
+            })),
             timestamp: performance.now()
         });
     }
 
+    // Bracketing points and interpolation factor for one track at an absolute time.
+    // Returns null before the track's first point; after its last point the vehicle
+    // is held there and marked inactive.
+    sampleTrack(track, targetTime) {
+        const features = track.features;
+        if (features.length === 0 || targetTime < features[0].properties.timestamp) {
+            return null;
+        }
+        
+        // Binary search for the first point after targetTime
+        let low = 0;
+        let high = features.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (features[mid].properties.timestamp > targetTime) {
+                high = mid;
+            } else {
+                low = mid + 1;
+            }
+        }
+        const nextIndex = low;
+        const prevIndex = Math.max(0, nextIndex - 1);
+        
+        const prev = features[prevIndex];
+        const next = features[nextIndex] || prev;
+        
+        // Calculate interpolation factor
+        const prevTime = prev.properties.timestamp;
+        const nextTime = next.properties.timestamp;
+        // Hold at the last point of a segment instead of interpolating across a track break
+        const isTrackBreak = prev.properties.segment !== next.properties.segment;
+        const t = (prevTime === nextTime || isTrackBreak) ? 0 :
+                 (targetTime - prevTime) / (nextTime - prevTime);
+        
+        return {
+            trackId: track.id,
+            color: track.color,
+            active: nextIndex < features.length,
+            prev,
+            next,
+            t,
+            prevIndex,
+            nextIndex,
+            totalPoints: features.length
+        };
+    }
+
     handleWorkerMessage(e) {
-        const { position, bearing, speed, error } = e.data;
+        this.applyWorkerMessage(e);
+
+        if (this.pendingFrame && e.data.requestId === this.pendingFrame.requestId) {
+            const { resolve } = this.pendingFrame;
+            this.pendingFrame = null;
+            resolve();
+        }
+    }
+
+    applyWorkerMessage(e) {
+        const { vehicles, error } = e.data;
         
         if (error) {
             console.error('Position worker error:', error);
             return;
         }
+        
+        if (!vehicles) return;
+        
+        // Render every vehicle from one source; the followed one drives camera and debug output
+        this.webglLayer.updateVehicles(vehicles, this.trackData.followedTrackId);
+        
+        const followed = vehicles.find(vehicle => vehicle.trackId === this.trackData.followedTrackId);
+        if (!followed) return;
+        const { position, bearing, speed } = followed;
 
         // Debug worker messages
         if (document.getElementById('workerDebug')) {
@@ -409,13 +548,6 @@ class UnifiedAnimationController {
             document.getElementById('workerDebug').innerHTML = workerHtml;
         }
 
-        // Update WebGL layer
-        this.webglLayer.updatePosition(
-            [position.lng, position.lat],
-            bearing,
-            speed
-        );
-        
         // Debug render updates
         if (document.getElementById('renderDebug')) {
             const now = performance.now();
@@ -455,7 +587,7 @@ class UnifiedAnimationController {
         }
 
         // Update camera if locked
-        if (this.camera.isLocked) {
+        if (this.isCameraLocked) {
             this.updateCamera(position, bearing);
         }
     }
@@ -561,7 +693,7 @@ class UnifiedAnimationController {
     }
 
     updateCameraOffset() {
-        if (!this.camera.isLocked) return;
+        if (!this.isCameraLocked) return;
         
         const vehiclePosition = this.webglLayer.getCurrentPosition();
         if (!vehiclePosition) return;
@@ -643,6 +775,8 @@ class UnifiedAnimationController {
     }
 
     adjustQuality() {
+        if (this.frameStepping) return;
+        
         if (this.performance.fps < 30) {
             this.webglLayer.adjustQuality('low');
         } else if (this.performance.fps > 55) {
@@ -650,20 +784,14 @@ class UnifiedAnimationController {
         }
     }
 
+    // Publish playback state to the store; the UI subscribes to it there
     notifyStateChange() {
-        // Update AppState
-        if (window.AppState) {
-            window.AppState.animation = {
-                isPlaying: this.state.isPlaying,
-                currentTime: this.state.currentTime,
-                duration: this.state.duration,
-                speed: this.state.speed
-            };
-            
-            if (typeof window.AppState.notifyListeners === 'function') {
-                window.AppState.notifyListeners();
-            }
-        }
+        window.AppState?.setState('animation', {
+            isPlaying: this.state.isPlaying,
+            currentTime: this.state.currentTime,
+            duration: this.state.duration,
+            speed: this.state.speed
+        });
     }
 
     cleanup() {
@@ -677,11 +805,13 @@ class UnifiedAnimationController {
         }
         
         // Clear camera lock
-        this.camera.isLocked = false;
+        window.AppState?.setState('camera', { isLocked: false });
         
         // Clear track data
         this.trackData = {
             features: [],
+            tracks: [],
+            followedTrackId: null,
             currentIndex: 0,
             timeRange: { start: 0, end: 0 }
         };
@@ -0,0 +1,209 @@
+// url-state.js
+// Shareable links: the camera, playback time, speed and map style are kept in the URL hash
+// (#map=zoom/lat/lng/bearing/pitch&t=seconds&speed=x&style=id) as the user navigates, and a
+// link opened later restores them once the map is up and, for the playback part, once
+// tracks are loaded.
+
+import { changeMapStyle, setPlaybackSpeed } from './app-state.js';
+import { shallowEqual } from './store.js';
+
+const UPDATE_DELAY = 500;  // ms between hash rewrites
+const MAPBOX_STYLE_PREFIX = 'mapbox://styles/';
+
+let updateTimer = null;
+let listening = false;
+
+// Camera and playback values from a link that arrived before any tracks were loaded
+let pendingLink = null;
+
+// Styles are written without the mapbox://styles/ prefix, and without the owner for the
+// Mapbox-owned ones: streets-v12, or someone/style-id
+function encodeStyle(style) {
+    if (!style?.startsWith(MAPBOX_STYLE_PREFIX)) return null;
+    const id = style.slice(MAPBOX_STYLE_PREFIX.length);
+    return id.startsWith('mapbox/') ? id.slice('mapbox/'.length) : id;
+}
+
+function decodeStyle(value) {
+    if (!/^[\w.-]+(\/[\w.-]+)?$/.test(value)) return null;
+    return MAPBOX_STYLE_PREFIX + (value.includes('/') ? value : `mapbox/${value}`);
+}
+
+// Parsing
+// Returns { camera, time, speed, style }, leaving out anything missing or malformed
+function parseHash(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const state = {};
+
+    const map = params.get('map')?.split('/').map(Number);
+    if (map && map.length >= 3 && map.every(Number.isFinite)) {
+        const [zoom, lat, lng, bearing = 0, pitch = 0] = map;
+        if (Math.abs(lat) <= 90 && Math.abs(lng) <= 180) {
+            state.camera = { center: [lng, lat], zoom, bearing, pitch };
+        }
+    }
+
+    const time = parseFloat(params.get('t'));
+    if (time >= 0) state.time = time;
+
+    const speed = parseFloat(params.get('speed'));
+    if (speed > 0) state.speed = speed;
+
+    const style = params.has('style') ? decodeStyle(params.get('style')) : null;
+    if (style) state.style = style;
+
+    return state;
+}
+
+function formatHash({ camera, time, speed, style }) {
+    const parts = [];
+    if (camera) {
+        const [lng, lat] = camera.center;
+        parts.push('map=' + [
+            camera.zoom.toFixed(2),
+            lat.toFixed(5),
+            lng.toFixed(5),
+            Math.round(camera.bearing),
+            Math.round(camera.pitch)
+        ].join('/'));
+    }
+    if (time !== undefined) parts.push(`t=${Math.round(time * 10) / 10}`);
+    if (speed !== undefined) parts.push(`speed=${speed}`);
+    if (style) parts.push(`style=${style}`);
+    return parts.length > 0 ? '#' + parts.join('&') : '';
+}
+
+// Writing
+function readCurrentState() {
+    const map = AppState.map;
+    const hasTracks = AppState.data?.features?.length > 0;
+    const playback = pendingLink || (hasTracks ? {
+        time: AppState.animation.currentTime,
+        speed: AppState.animation.speed
+    } : {});
+
+    return {
+        camera: {
+            center: map.getCenter().toArray(),
+            zoom: map.getZoom(),
+            bearing: map.getBearing(),
+            pitch: map.getPitch()
+        },
+        time: playback.time,
+        speed: playback.speed,
+        style: encodeStyle(AppState.mapStyle)
+    };
+}
+
+function writeHash() {
+    updateTimer = null;
+    if (!AppState.map || AppState.animationController?.frameStepping) return;
+
+    const hash = formatHash(readCurrentState());
+    if (hash !== window.location.hash) {
+        // replaceState, so moving around the map does not fill the back button history
+        history.replaceState(null, '', hash || window.location.pathname + window.location.search);
+    }
+}
+
+// Hash rewrites are batched, since camera moves and seeks come in bursts
+function updateUrlState() {
+    if (!listening || updateTimer) return;
+    updateTimer = setTimeout(writeHash, UPDATE_DELAY);
+}
+
+// Applying
+function applyPlayback(playback) {
+    const controller = AppState.animationController;
+    if (!controller) return;
+
+    if (playback.speed !== undefined) setPlaybackSpeed(playback.speed);
+    if (playback.time !== undefined) controller.seekTo(playback.time);
+}
+
+async function applyUrlState(state) {
+    if (state.style && state.style !== AppState.mapStyle) {
+        await changeMapStyle(state.style);
+    }
+    if (state.camera) {
+        AppState.map.jumpTo(state.camera);
+    }
+
+    const playback = {};
+    if (state.time !== undefined) playback.time = state.time;
+    if (state.speed !== undefined) playback.speed = state.speed;
+
+    if (AppState.data?.features?.length > 0) {
+        applyPlayback(playback);
+    } else if (state.camera || Object.keys(playback).length > 0) {
+        // Loading tracks fits the map to them, so the camera is kept to apply again then,
+        // even for a link with no playback part
+        pendingLink = { ...playback, camera: state.camera };
+    }
+}
+
+// The user has picked a view of their own, by moving the map or importing a file (which
+// fits the map to it), so a pending camera no longer applies. Playback values still do.
+function discardPendingCamera() {
+    if (!pendingLink?.camera) return;
+    const { camera, ...playback } = pendingLink;
+    pendingLink = Object.keys(playback).length > 0 ? playback : null;
+}
+
+// Called once tracks have been loaded. Applies the camera and playback parts of a link that
+// was opened before there was anything to play.
+function applyPendingUrlState() {
+    if (!pendingLink) return;
+    const { camera, ...playback } = pendingLink;
+    pendingLink = null;
+
+    if (camera) AppState.map.jumpTo(camera);
+    applyPlayback(playback);
+}
+
+// A reload keeps the hash written by writeHash, which is the last view rather than a link
+function isReload() {
+    const navigation = performance.getEntriesByType?.('navigation')[0];
+    return navigation?.type === 'reload';
+}
+
+// Called once the map is ready. The hash is read as a link only on the first page open.
+async function initializeUrlState() {
+    if (listening) return;
+
+    if (!isReload()) {
+        try {
+            await applyUrlState(parseHash(window.location.hash));
+        } catch (error) {
+            console.error('Error applying link:', error);
+        }
+    }
+
+    listening = true;
+    AppState.map.on('moveend', (e) => {
+        // originalEvent is only set for moves the user made
+        if (e.originalEvent) discardPendingCamera();
+        updateUrlState();
+    });
+    AppState.map.on('style.load', updateUrlState);
+    // The time is written when playback stops, not on every frame
+    AppState.subscribe(
+        state => [state.animation.isPlaying ? null : state.animation.currentTime, state.animation.speed],
+        updateUrlState,
+        { equals: shallowEqual }
+    );
+
+    // A link pasted into the address bar of an open tab
+    window.addEventListener('hashchange', () => {
+        applyUrlState(parseHash(window.location.hash))
+            .catch(error => console.error('Error applying link:', error));
+    });
+
+    updateUrlState();
+}
+
+export {
+    initializeUrlState,
+    applyPendingUrlState,
+    discardPendingCamera
+};
@@ -9,8 +9,10 @@ export function showNotification(message, type = 'info') {
         <span class="notification-icon material-icons">
             ${type === 'error' ? 'error' : type === 'warning' ? 'warning' : 'info'}
         </span>
-        <span class="notification-message">${message}</span>
+        <span class="notification-message"></span>
     `;
+    // Messages carry file and track names, so they are set as text rather than markup
+    notification.querySelector('.notification-message').textContent = message;
     
     const container = document.getElementById('notificationsContainer') || 
                      createNotificationsContainer();
@@ -56,4 +58,103 @@ export function formatDateTime(date) {
 // Unique ID Generation
 export function generateUniqueId() {
     return 'id-' + Date.now() + '-' + Math.floor(Math.random() * 1000);
-} 
\ No newline at end of file
+} 
+// File Download
+export function downloadFile(content, filename, mimeType = 'text/plain') {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Revoke after the click has been handled
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Calculate bearing between points with smoothing
+export function calculateBearing(point1, point2) {
+    // Convert to turf points
+    const start = turf.point(point1);
+    const end = turf.point(point2);
+    
+    // Calculate raw bearing
+    let bearing = turf.bearing(start, end);
+    
+    // Normalize to 0-360 range
+    return (bearing + 360) % 360;
+}
+
+// Fill in missing (null) bearings from the direction of travel to the next point.
+// The last point of a run keeps the bearing of the point before it.
+export function fillMissingBearings(features) {
+    features.forEach((feature, i) => {
+        if (feature.properties.bearing !== null) return;
+        const next = features[i + 1];
+        const prev = features[i - 1];
+        if (next) {
+            feature.properties.bearing = calculateBearing(
+                feature.geometry.coordinates,
+                next.geometry.coordinates
+            );
+        } else {
+            feature.properties.bearing = prev ? prev.properties.bearing : 0;
+        }
+    });
+}
+
+// Text content of the first descendant with the given local name, ignoring namespace prefixes
+export function getChildText(element, localName) {
+    const child = element.getElementsByTagNameNS('*', localName)[0];
+    return child ? child.textContent.trim() : null;
+}
+
+// Escape text for XML and HTML content and attribute values
+export function escapeXML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Sliced Work
+// Long passes over the points are written as generators that yield { label, done, total }
+// every STEP_SIZE items. runSteps drives one to the end in one go; runStepsAsync gives the
+// browser a turn between slices so large imports keep the page responsive.
+export const STEP_SIZE = 10000;     // items between yields
+const SLICE_TIME = 30;              // ms of work before handing back to the browser
+
+export function runSteps(steps) {
+    let result = steps.next();
+    while (!result.done) result = steps.next();
+    return result.value;
+}
+
+// onProgress({ label, done, total }) is called with the latest progress between slices;
+// isCancelled() is polled there too. Resolves to the generator's result, or null when
+// cancelled, before or during the run.
+export async function runStepsAsync(steps, { onProgress = () => {}, isCancelled = () => false } = {}) {
+    if (isCancelled()) return null;
+
+    let sliceStart = performance.now();
+    let progress = null;
+    let result = steps.next();
+
+    while (!result.done) {
+        if (result.value) progress = result.value;
+
+        if (performance.now() - sliceStart > SLICE_TIME) {
+            if (progress) onProgress(progress);
+            await new Promise(resolve => setTimeout(resolve, 0));
+            if (isCancelled()) {
+                steps.return();
+                return null;
+            }
+            sliceStart = performance.now();
+        }
+        result = steps.next();
+    }
+    return result.value;
+}
@@ -0,0 +1,267 @@
+// video-export.js
+// Frame-stepped video export: steps the animation controller through fixed time increments,
+// waits for the map to settle on each frame, captures the canvas and encodes WebM (VP9) or
+// MP4 (H.264) with WebCodecs. Output depends only on the settings, not on machine speed.
+
+import { showNotification, downloadFile, formatTime } from './utils.js';
+
+const VIDEO_FORMATS = {
+    webm: {
+        extension: 'webm',
+        mimeType: 'video/webm',
+        codec: 'vp09.00.51.08',
+        createMuxer: (width, height, frameRate) => new WebMMuxer.Muxer({
+            target: new WebMMuxer.ArrayBufferTarget(),
+            video: { codec: 'V_VP9', width, height, frameRate }
+        })
+    },
+    mp4: {
+        extension: 'mp4',
+        mimeType: 'video/mp4',
+        codec: 'avc1.640033',
+        createMuxer: (width, height, frameRate) => new Mp4Muxer.Muxer({
+            target: new Mp4Muxer.ArrayBufferTarget(),
+            video: { codec: 'avc', width, height, frameRate },
+            fastStart: 'in-memory'
+        })
+    }
+};
+
+const RESOLUTIONS = {
+    '720p': [1280, 720],
+    '1080p': [1920, 1080],
+    '1440p': [2560, 1440],
+    '2160p': [3840, 2160]
+};
+
+const KEYFRAME_INTERVAL = 2;    // s of video
+const MAX_QUEUED_FRAMES = 8;    // encoder backlog before capture waits
+
+// Frames needed to play `duration` seconds of track time at `speed`x
+function getFrameCount(duration, speed, frameRate) {
+    return Math.max(1, Math.ceil((duration / speed) * frameRate) + 1);
+}
+
+// Size the map's drawing buffer to the output resolution. The pixel ratio is pinned to 1
+// while recording, so the container is the output size in CSS pixels and the video looks
+// the same whatever screen it was recorded on. Returns a function that undoes it.
+function resizeMapForCapture(map, width, height) {
+    const container = map.getContainer();
+    const previous = { width: container.style.width, height: container.style.height };
+    const ratioDescriptor = Object.getOwnPropertyDescriptor(window, 'devicePixelRatio');
+
+    Object.defineProperty(window, 'devicePixelRatio', { get: () => 1, configurable: true });
+    container.style.width = `${width}px`;
+    container.style.height = `${height}px`;
+    map.resize();
+
+    return () => {
+        if (ratioDescriptor) {
+            Object.defineProperty(window, 'devicePixelRatio', ratioDescriptor);
+        } else {
+            delete window.devicePixelRatio;
+        }
+        container.style.width = previous.width;
+        container.style.height = previous.height;
+        map.resize();
+    };
+}
+
+// Wait until the map has rendered everything (tiles loaded, no transitions) and copy the
+// frame. The copy happens inside the idle event, in the same task as the draw, because the
+// map is created with preserveDrawingBuffer: false and the buffer is cleared afterwards.
+function captureWhenIdle(map, context, width, height) {
+    return new Promise(resolve => {
+        map.once('idle', () => {
+            context.drawImage(map.getCanvas(), 0, 0, width, height);
+            resolve();
+        });
+        map.triggerRepaint();
+    });
+}
+
+// Recording
+// options: { format, width, height, frameRate, speed, start, end } with start/end in playback
+// seconds. onProgress(frame, frameCount) is called after each frame; isCancelled() is polled
+// between frames. Resolves to a Blob, or null when cancelled.
+async function recordVideo(options, { onProgress = () => {}, isCancelled = () => false } = {}) {
+    const { format, width, height, frameRate, speed, start, end } = options;
+    const definition = VIDEO_FORMATS[format];
+    if (!definition) throw new Error(`Unknown video format: ${format}`);
+
+    if (typeof VideoEncoder === 'undefined') {
+        throw new Error('This browser cannot encode video (WebCodecs is not available)');
+    }
+
+    const encoderConfig = {
+        codec: definition.codec,
+        width: width,
+        height: height,
+        bitrate: Math.round(width * height * frameRate * 0.1),
+        framerate: frameRate
+    };
+    const { supported } = await VideoEncoder.isConfigSupported(encoderConfig);
+    if (!supported) {
+        throw new Error(`This browser cannot encode ${format.toUpperCase()} at ${width}×${height}`);
+    }
+
+    const map = AppState.map;
+    const controller = AppState.animationController;
+    const resumeTime = controller.state.currentTime;
+    const frameCount = getFrameCount(end - start, speed, frameRate);
+    const frameDuration = 1e6 / frameRate;  // µs
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+
+    const muxer = definition.createMuxer(width, height, frameRate);
+    let encoderError = null;
+    const encoder = new VideoEncoder({
+        output: (chunk, metadata) => muxer.addVideoChunk(chunk, metadata),
+        error: error => { encoderError = error; }
+    });
+    encoder.configure(encoderConfig);
+
+    controller.beginFrameStepping();
+    const restoreMap = resizeMapForCapture(map, width, height);
+
+    try {
+        for (let frame = 0; frame < frameCount; frame++) {
+            if (isCancelled()) return null;
+            if (encoderError) throw encoderError;
+
+            await controller.renderFrame(Math.min(end, start + (frame / frameRate) * speed));
+            await captureWhenIdle(map, context, width, height);
+
+            const videoFrame = new VideoFrame(canvas, {
+                timestamp: Math.round(frame * frameDuration),
+                duration: Math.round(frameDuration)
+            });
+            encoder.encode(videoFrame, { keyFrame: frame % (KEYFRAME_INTERVAL * frameRate) === 0 });
+            videoFrame.close();
+
+            while (encoder.encodeQueueSize > MAX_QUEUED_FRAMES) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+
+            onProgress(frame + 1, frameCount);
+        }
+
+        await encoder.flush();
+        if (encoderError) throw encoderError;
+        muxer.finalize();
+        return new Blob([muxer.target.buffer], { type: definition.mimeType });
+    } finally {
+        if (encoder.state !== 'closed') encoder.close();
+        restoreMap();
+        controller.endFrameStepping();
+        controller.seekTo(resumeTime);
+    }
+}
+
+// Video Export Dialog
+function readVideoOptions() {
+    const [width, height] = RESOLUTIONS[document.getElementById('videoResolution').value];
+    return {
+        format: document.getElementById('videoFormat').value,
+        width: width,
+        height: height,
+        frameRate: parseInt(document.getElementById('videoFrameRate').value, 10),
+        speed: parseFloat(document.getElementById('videoSpeed').value),
+        start: 0,
+        end: AppState.animation.duration
+    };
+}
+
+function updateVideoSummary() {
+    const options = readVideoOptions();
+    const summary = document.getElementById('videoExportSummary');
+    if (!(options.speed > 0)) {
+        summary.textContent = 'Enter a playback speed above 0';
+        return;
+    }
+    const frameCount = getFrameCount(options.end - options.start, options.speed, options.frameRate);
+    summary.textContent = `${formatTime(frameCount / options.frameRate)} of video, ` +
+        `${frameCount.toLocaleString()} frames at ${options.width}×${options.height}`;
+}
+
+function showVideoExportModal() {
+    if (!AppState.data || !AppState.animationController || AppState.animation.duration <= 0) {
+        showNotification('Load a track before exporting a video', 'error');
+        return;
+    }
+
+    const modal = document.getElementById('videoExportModal');
+    document.getElementById('videoSpeed').value = AppState.animation.speed || 1;
+    ['videoFormat', 'videoResolution', 'videoFrameRate', 'videoSpeed'].forEach(id => {
+        document.getElementById(id).oninput = updateVideoSummary;
+    });
+    updateVideoSummary();
+
+    const close = () => {
+        modal.style.display = 'none';
+    };
+    document.getElementById('closeVideoExportModal').onclick = close;
+    document.getElementById('cancelVideoExportButton').onclick = close;
+    document.getElementById('startVideoExportButton').onclick = () => {
+        const options = readVideoOptions();
+        if (!(options.speed > 0)) {
+            showNotification('Enter a playback speed above 0', 'error');
+            return;
+        }
+        close();
+        runVideoExport(options);
+    };
+
+    modal.style.display = 'flex';
+}
+
+async function runVideoExport(options) {
+    const overlay = document.getElementById('videoProgress');
+    const fill = document.getElementById('videoProgressFill');
+    const label = document.getElementById('videoProgressLabel');
+    let cancelled = false;
+
+    document.getElementById('videoCancelButton').onclick = () => {
+        cancelled = true;
+        label.textContent = 'Cancelling…';
+    };
+    fill.style.width = '0%';
+    label.textContent = 'Preparing video export…';
+    overlay.style.display = 'flex';
+
+    try {
+        const blob = await recordVideo(options, {
+            onProgress: (frame, frameCount) => {
+                if (cancelled) return;
+                fill.style.width = `${(frame / frameCount) * 100}%`;
+                label.textContent = `Rendering frame ${frame.toLocaleString()} of ${frameCount.toLocaleString()}`;
+            },
+            isCancelled: () => cancelled
+        });
+        if (!blob) {
+            showNotification('Video export cancelled', 'info');
+            return;
+        }
+
+        const baseName = (AppState.data.properties?.filename || AppState.data.properties?.name || 'playback')
+            .replace(/\.[^.]+$/, '')
+            .replace(/[^\w.-]+/g, '_');
+        const filename = `${baseName}.${VIDEO_FORMATS[options.format].extension}`;
+        downloadFile(blob, filename);
+        showNotification(`Exported video to ${filename}`, 'info');
+    } catch (error) {
+        console.error('Error exporting video:', error);
+        showNotification('Error exporting video: ' + error.message, 'error');
+    } finally {
+        overlay.style.display = 'none';
+    }
+}
+
+export {
+    captureWhenIdle,
+    recordVideo,
+    showVideoExportModal
+};
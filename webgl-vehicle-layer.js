@@ -63,19 +63,27 @@ class WebGLVehicleLayer {
                 await new Promise(resolve => this.map.on('load', resolve));
             }
 
-            // Initialize vehicle source
+            // Initialize vehicle source: one point feature per vehicle
             this.map.addSource('vehicle-webgl', {
                 type: 'geojson',
                 data: {
-                    type: 'Feature',
-                    geometry: {
-                        type: 'Point',
-                        coordinates: [0, 0]
-                    },
-                    properties: {
-                        bearing: 0,
-                        speed: 0
-                    }
+                    type: 'FeatureCollection',
+                    features: []
+                }
+            });
+
+            // Track-colored halo under each vehicle so units can be told apart
+            this.map.addLayer({
+                id: 'vehicle-webgl-halo',
+                type: 'circle',
+                source: 'vehicle-webgl',
+                paint: {
+                    'circle-radius': ['case', ['boolean', ['get', 'followed'], false], 14, 10],
+                    'circle-color': ['coalesce', ['get', 'color'], '#3b82f6'],
+                    'circle-opacity': ['case', ['boolean', ['get', 'active'], true], 0.45, 0.15],
+                    'circle-stroke-width': ['case', ['boolean', ['get', 'followed'], false], 2, 0],
+                    'circle-stroke-color': '#ffffff',
+                    'circle-pitch-alignment': 'map'
                 }
             });
 
@@ -97,7 +105,8 @@ class WebGLVehicleLayer {
                     'icon-ignore-placement': true
                 },
                 paint: {
-                    'icon-opacity': 1
+                    // Vehicles whose track has ended stay parked at their last point, dimmed
+                    'icon-opacity': ['case', ['boolean', ['get', 'active'], true], 1, 0.5]
                 }
             });
 
@@ -225,6 +234,19 @@ class WebGLVehicleLayer {
     }
 
     updatePosition(coordinates, bearing, speed, timestamp) {
+        // Single-vehicle form of updateVehicles
+        this.updateVehicles([{
+            trackId: null,
+            position: { lng: coordinates[0], lat: coordinates[1] },
+            bearing: bearing,
+            speed: speed,
+            active: true
+        }], null);
+    }
+
+    // Render all vehicles from one FeatureCollection. vehicles: [{ trackId, position: {lng, lat},
+    // bearing, speed, color, active }]. The followed vehicle's state backs getCurrentPosition.
+    updateVehicles(vehicles, followedTrackId) {
         if (!this.isInitialized) return;
 
         const source = this.map.getSource('vehicle-webgl');
@@ -234,36 +256,49 @@ class WebGLVehicleLayer {
         const now = performance.now();
         const timeSinceLastUpdate = now - (this.currentState.timestamp || now);
         
+        const followed = vehicles.find(vehicle => vehicle.trackId === followedTrackId) || vehicles[0];
+        
         // Debug position updates
-        if (this.debug.enabled) {
-            console.log('[WebGLLayer] Rendering position update:', coordinates);
+        if (this.debug.enabled && followed) {
+            console.log('[WebGLLayer] Rendering', vehicles.length, 'vehicle(s); followed at:', followed.position);
             console.log('[WebGLLayer] Time since last render:', timeSinceLastUpdate.toFixed(1), 'ms');
-            console.log('[WebGLLayer] Bearing:', bearing, 'Speed:', speed);
+            console.log('[WebGLLayer] Bearing:', followed.bearing, 'Speed:', followed.speed);
         }
 
         // Update current state
-        this.currentState = {
-            position: coordinates,
-            bearing: bearing || this.currentState.bearing,
-            speed: speed || 0,
-            timestamp: now
-        };
+        if (followed) {
+            this.currentState = {
+                position: [followed.position.lng, followed.position.lat],
+                bearing: followed.bearing || this.currentState.bearing,
+                speed: followed.speed || 0,
+                timestamp: now
+            };
+        }
 
         // Update GeoJSON source
         source.setData({
-            type: 'Feature',
-            geometry: {
-                type: 'Point',
-                coordinates: coordinates
-            },
-            properties: {
-                bearing: bearing,
-                speed: speed
-            }
+            type: 'FeatureCollection',
+            features: vehicles.map(vehicle => ({
+                type: 'Feature',
+                geometry: {
+                    type: 'Point',
+                    coordinates: [vehicle.position.lng, vehicle.position.lat]
+                },
+                properties: {
+                    trackId: vehicle.trackId,
+                    bearing: vehicle.bearing,
+                    speed: vehicle.speed,
+                    color: vehicle.color,
+                    active: vehicle.active !== false,
+                    followed: vehicle === followed
+                }
+            }))
         });
         
         // Update debug trail
-        this.updateDebugTrail(coordinates);
+        if (followed) {
+            this.updateDebugTrail(this.currentState.position);
+        }
     }
 
     // Get current position for other components
@@ -271,6 +306,10 @@ class WebGLVehicleLayer {
         return this.currentState.position;
     }
 
+    getCurrentBearing() {
+        return this.currentState.bearing;
+    }
+
     animate(timestamp) {
         if (!this.animationState.isPlaying) return;
 
@@ -378,6 +417,10 @@ class WebGLVehicleLayer {
             this.map.removeLayer('vehicle-webgl');
         }
         
+        if (this.map.getLayer('vehicle-webgl-halo')) {
+            this.map.removeLayer('vehicle-webgl-halo');
+        }
+        
         if (this.map.getSource('vehicle-webgl')) {
             this.map.removeSource('vehicle-webgl');
         }